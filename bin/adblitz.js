@@ -1,20 +1,50 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, Option } = require('commander');
 const path = require('path');
 const fs = require('fs');
-const { execSync, exec } = require('child_process');
 const cliProgress = require('cli-progress');
 const chalk = require('chalk');
+const {
+  planCombos,
+  render,
+  inspectClips,
+  findConfigFile,
+  loadConfig,
+  AdblitzError,
+  DEFAULTS,
+  CONFIG_FILENAME,
+  EXPORT_BASENAME,
+  GALLERY_FILENAME,
+  MANIFEST_FILENAME,
+  LOUDNESS_PRESETS,
+  CAPTION_STYLES,
+  PLATFORMS,
+  CODECS,
+  CONTAINERS,
+  formatBytes,
+  FAILED_FILENAME,
+  DRAFT_DIRNAME,
+  STORYBOARD_DIRNAME,
+  MAX_STORYBOARD_FRAMES,
+  loadFailures,
+} = require('../lib');
 
 // ── Constants ────────────────────────────────────────────────────────────────
 
-const VIDEO_EXTS = new Set(['.mp4', '.mov', '.avi', '.mkv', '.webm', '.m4v']);
-const AUDIO_EXTS = new Set(['.mp3', '.wav', '.aac', '.m4a', '.ogg', '.flac']);
 const VERSION = '1.2.1';
 
-// Max concurrent ffmpeg processes to avoid overwhelming the system
-const MAX_CONCURRENCY = 4;
+// Per-output loudness lines printed after a run; the rest are in the manifest
+const LOUDNESS_REPORT_LINES = 20;
+
+// Platform violations listed in full; beyond this only the count is shown
+const VIOLATION_LINES = 20;
+
+// Options that change the encoding; any of them shows it in the summary
+const ENCODING_OPTIONS = ['codec', 'crf', 'bitrate', 'fps', 'pixFmt', 'audioBitrate', 'container', 'maxSize'];
+
+// --progress styles: one bar, or a bar plus a line per running job
+const PROGRESS_STYLES = ['bar', 'workers'];
 
 // ── Color helpers ────────────────────────────────────────────────────────────
 
@@ -50,350 +80,613 @@ function showGettingStarted() {
   console.log(dim(`  Run ${bold('adblitz --help')} for full usage.\n`));
 }
 
-// ── Helpers ──────────────────────────────────────────────────────────────────
+// ── Output helpers ───────────────────────────────────────────────────────────
 
-/**
- * Sanitize a filename to be safe for the filesystem.
- * Removes path traversal, null bytes, and problematic characters.
- */
-function sanitizeFilename(name) {
-  // Remove null bytes
-  name = name.replace(/\0/g, '');
-  // Remove path separators (prevent traversal)
-  name = name.replace(/[/\\]/g, '_');
-  // Remove other problematic chars for cross-platform compat
-  name = name.replace(/[<>:"|?*]/g, '_');
-  // Collapse multiple underscores
-  name = name.replace(/_+/g, '_');
-  // Trim dots and spaces from start/end (Windows issue)
-  name = name.replace(/^[.\s]+|[.\s]+$/g, '');
-  // Truncate to 200 chars (leave room for extension and path)
-  if (name.length > 200) name = name.substring(0, 200);
-  // Fallback if empty
-  if (!name) name = 'unnamed';
-  return name;
+function createProgressBar(label) {
+  return new cliProgress.SingleBar({
+    format: `  ${label} |` + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} | {current}',
+    barCompleteChar: '█',
+    barIncompleteChar: '░',
+    hideCursor: true,
+  });
 }
 
 /**
- * Escape a string for use inside ffmpeg shell commands.
- * Uses single-quote wrapping with proper escaping.
+ * Progress through a list of jobs that report how far each has got. Every
+ * job has a weight (seconds of video for renders) and the bar moves with
+ * the share of it done, so it doesn't sit still during long encodes. The
+ * ETA and `speed` (weight done per second, i.e. × realtime for seconds of
+ * video) are averaged over the whole run. With `workers`, each running job
+ * also gets a line of its own.
  */
-function shellEscape(s) {
-  // Replace single quotes with '\'' (end quote, escaped quote, start quote)
-  return "'" + s.replace(/'/g, "'\\''") + "'";
+function createJobProgress(label, { count, total, workers = false, speed = false }) {
+  const format = `  ${label} |` + chalk.cyan('{bar}') + '| {percentage}% | {done}/{count} | ETA {timeLeft}' +
+    (speed ? ' | {speed}' : '') + ' | {current}';
+  const options = { format, barCompleteChar: '█', barIncompleteChar: '░', hideCursor: true };
+  // Off a terminal the bars aren't drawn, but a MultiBar would still print its last frame
+  const multibar = workers && process.stderr.isTTY ? new cliProgress.MultiBar(options) : null;
+  const lineFormat = '    {name} |' + chalk.cyan('{bar}') + '| {percentage}% {speed}';
+
+  const started = Date.now();
+  const running = new Map(); // job -> { weight, amount, line }
+  let finished = 0; // weight of the jobs that are over
+  let done = 0;
+  let current = '';
+  const progress = () => [...running.values()].reduce((sum, r) => sum + r.amount, finished);
+  const payload = () => {
+    const value = progress();
+    const elapsed = (Date.now() - started) / 1000;
+    const rate = elapsed >= 1 && value > 0 ? value / elapsed : null;
+    return {
+      done,
+      count,
+      timeLeft: rate ? formatDuration(Math.round(Math.max(0, total - value) / rate)) : '…',
+      speed: rate ? `${rate.toFixed(1)}x` : '…',
+      current: current.substring(0, 50),
+    };
+  };
+  const bar = multibar ? multibar.create(total, 0, payload()) : new cliProgress.SingleBar(options);
+  if (!multibar) bar.start(total, 0, payload());
+  const redraw = () => bar.update(Math.min(progress(), total), payload());
+
+  return {
+    start(job, name, weight) {
+      // A retried job starts over
+      const previous = running.get(job);
+      if (previous && previous.line) multibar.remove(previous.line);
+      const line = multibar
+        ? multibar.create(100, 0, { name: name.substring(0, 40).padEnd(40), speed: '' }, { format: lineFormat, barsize: 20 })
+        : null;
+      running.set(job, { weight, amount: 0, line });
+      current = name;
+      redraw();
+    },
+    /** `amount` is in the job's weight; `jobSpeed` is ffmpeg's own × realtime. */
+    update(job, amount, jobSpeed) {
+      const r = running.get(job);
+      if (!r) return;
+      r.amount = Math.min(amount, r.weight);
+      if (r.line) r.line.update(Math.round((r.amount / r.weight) * 100), { speed: jobSpeed ? `${jobSpeed.toFixed(1)}x` : '' });
+      redraw();
+    },
+    finish(job, name, weight) {
+      const r = running.get(job);
+      if (r && r.line) multibar.remove(r.line);
+      running.delete(job);
+      finished += weight;
+      done++;
+      current = name;
+      redraw();
+    },
+    stop(last = null) {
+      if (last) {
+        current = last;
+        bar.update(total, payload());
+      }
+      if (multibar) multibar.stop();
+      else bar.stop();
+    },
+  };
+}
+
+/** A source clip as a job name, e.g. "hook: h1 (9x16)". */
+function clipLabel(part, format = null) {
+  return `${part.label}: ${part.video.name}${format && format.name ? ` (${format.name})` : ''}`;
+}
+
+/** The last few lines of an error, where ffmpeg says what went wrong. */
+function lastLines(message, count = 3) {
+  return message.split('\n').filter(line => line.trim()).slice(-count).join('\n');
+}
+
+function printError(e) {
+  console.error(err(`\n✗ ${e.message}\n`));
+  if (e.hint) console.error(warn(e.hint.split('\n').map(line => `  ${line}`).join('\n') + '\n'));
 }
 
 /**
- * Check if a file is a regular file (not symlink, not 0-byte for videos).
+ * Fill in options from a loaded config. Anything given on the command line
+ * wins; any segment flag on the command line replaces the config's segments.
  */
-function isValidVideoFile(filePath) {
-  try {
-    const stat = fs.lstatSync(filePath);
-    // Skip symlinks
-    if (stat.isSymbolicLink()) return false;
-    // Skip 0-byte files
-    if (stat.size === 0) return false;
-    return stat.isFile();
-  } catch {
-    return false;
+function applyConfig(config, options) {
+  const cliSegments = ['segments', 'hooks', 'bodies', 'ctas'].some(key => key in options);
+  for (const [key, value] of Object.entries(config.values)) {
+    if (key in options) continue;
+    if (key === 'segments' && cliSegments) continue;
+    options[key] = value;
   }
 }
 
-function isValidAudioFile(filePath) {
-  try {
-    const stat = fs.lstatSync(filePath);
-    if (stat.isSymbolicLink()) return false;
-    if (stat.size === 0) return false;
-    return stat.isFile();
-  } catch {
-    return false;
-  }
+function describeFiltered(filtered) {
+  return [
+    filtered.excluded && `${filtered.excluded} excluded`,
+    filtered.required && `${filtered.required} missing a required pairing`,
+    filtered.tags && `${filtered.tags} with incompatible tags`,
+  ].filter(Boolean).join(', ');
 }
 
-function getVideos(dir, label) {
-  if (!dir) return [];
-  const abs = path.resolve(dir);
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Number(seconds.toFixed(1))}s`;
+  const total = Math.round(seconds);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  return m >= 60 ? `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m` : `${m}m ${String(s).padStart(2, '0')}s`;
+}
 
-  if (!fs.existsSync(abs)) {
-    console.error(err(`\n✗ ${label} folder not found: ${abs}\n`));
-    console.error(warn(`  How to fix: mkdir -p ${dir}\n`));
-    process.exit(1);
+function describeLength(combos) {
+  const durations = combos.map(c => c.duration);
+  if (!durations.length || durations.some(d => d == null)) return null;
+  const min = Math.min(...durations);
+  const max = Math.max(...durations);
+  const each = max - min < 0.05 ? formatDuration(min) : `${formatDuration(min)}–${formatDuration(max)}`;
+  return `${each} per video, ${formatDuration(durations.reduce((a, b) => a + b, 0))} in total`;
+}
+
+function printSummary(plan) {
+  const opts = plan.options;
+  const filteredTotal = plan.totalCombos - plan.availableCombos;
+  for (const seg of plan.segments) {
+    const images = seg.videos.filter(v => v.kind === 'image').length;
+    const cards = seg.videos.filter(v => v.kind === 'card').length;
+    const stills = [images && `${images} image(s)`, cards && `${cards} card(s)`].filter(Boolean).join(', ');
+    console.log(`  ${seg.label}: ${ok(seg.videos.length)} files${stills ? ` ${dim(`(${stills})`)}` : ''}`);
   }
-  if (!fs.statSync(abs).isDirectory()) {
-    console.error(err(`\n✗ ${label} path is not a folder: ${abs}\n`));
-    process.exit(1);
+  if (filteredTotal) {
+    console.log(`  Rules: ${ok(plan.availableCombos)} of ${plan.totalCombos} combinations allowed ${dim(`(${describeFiltered(plan.filtered)})`)}`);
   }
-
-  let allEntries;
-  try {
-    allEntries = fs.readdirSync(abs);
-  } catch (e) {
-    console.error(err(`\n✗ Cannot read ${label} folder: ${e.message}\n`));
-    process.exit(1);
+  if (plan.sampling) {
+    const { max, design, seed } = plan.sampling;
+    console.log(`  Sample: ${ok(max)} of ${plan.availableCombos} combinations ${dim(`(${design}, seed ${seed})`)}`);
   }
-
-  // Filter hidden files
-  const allFiles = allEntries.filter(f => !f.startsWith('.'));
-
-  const nonVideo = allFiles.filter(f => !VIDEO_EXTS.has(path.extname(f).toLowerCase()));
-  if (nonVideo.length > 0) {
-    console.log(warn(`\n⚠ Skipping ${nonVideo.length} non-video file(s) in ${label}`));
+  if (plan.overlays.length) console.log(`  Overlays: ${ok(plan.overlays.length)} variations`);
+  if (plan.logos.length) {
+    const { pos, scale, opacity } = plan.logo;
+    const look = `${pos}, ${Math.round(scale * 100)}% wide${opacity < 1 ? `, ${Math.round(opacity * 100)}% opacity` : ''}`;
+    const which = opts.logoDir ? `${ok(plan.logos.length)} variations` : plan.logos[0].name;
+    console.log(`  Logo: ${which} ${dim(`(${look})`)}`);
   }
-
-  const videos = allFiles
-    .filter(f => VIDEO_EXTS.has(path.extname(f).toLowerCase()))
-    .filter(f => isValidVideoFile(path.join(abs, f)))
-    .sort()
-    .map(f => ({ name: path.parse(f).name, path: path.join(abs, f) }));
-
-  if (!videos.length) {
-    console.error(err(`\n✗ No video files found in ${label} folder: ${abs}\n`));
-    process.exit(1);
+  if (plan.textLayers.length) {
+    const from = typeof opts.overlaySpec === 'string' ? ` ${dim(`(${path.relative(process.cwd(), path.resolve(opts.overlaySpec))})`)}` : '';
+    console.log(`  Text layers: ${ok(plan.textLayers.length)}${from}`);
   }
-  return videos;
-}
-
-function getAudioFiles(input) {
-  if (!input) return [];
-  const abs = path.resolve(input);
-  if (!fs.existsSync(abs)) {
-    console.error(err(`\n✗ Music path not found: ${abs}\n`));
-    process.exit(1);
+  if (plan.musicFiles.length) {
+    const { volume, fadeIn, fadeOut, start, duck } = plan.musicMix;
+    const mix = [
+      `volume ${volume}`,
+      start && `from ${start}s`,
+      fadeIn && `fade in ${fadeIn}s`,
+      fadeOut && `fade out ${fadeOut}s`,
+      duck && 'ducked under speech',
+    ].filter(Boolean).join(', ');
+    console.log(`  Music: ${ok(plan.musicFiles.length)} track(s)${opts.musicAll ? ' (multiplied)' : ''} ${dim(`(${mix})`)}`);
   }
-  if (fs.statSync(abs).isFile()) {
-    if (!isValidAudioFile(abs)) {
-      console.error(err(`\n✗ Music file is empty or invalid: ${abs}\n`));
-      process.exit(1);
-    }
-    return [{ name: path.parse(abs).name, path: abs }];
+  if (plan.captions) {
+    const { style, position, maxWords, karaoke, mode, fallback } = plan.captions;
+    const videos = plan.segments.flatMap(seg => seg.videos);
+    const shipped = videos.filter(v => v.subtitles).length;
+    const details = [
+      `${style}, ${position}`,
+      maxWords && `max ${maxWords} words`,
+      karaoke && 'karaoke',
+      { burn: 'burned in', sidecar: '.srt/.vtt only', both: 'burned in + .srt/.vtt' }[mode],
+      shipped && `${shipped}/${videos.length} clips with own subtitles`,
+      shipped < videos.length && (fallback === 'whisper' ? 'rest via whisper' : 'rest uncaptioned'),
+    ].filter(Boolean).join(', ');
+    console.log(`  Captions: ${dim(details)}`);
   }
-  const files = fs.readdirSync(abs)
-    .filter(f => !f.startsWith('.') && AUDIO_EXTS.has(path.extname(f).toLowerCase()))
-    .filter(f => isValidAudioFile(path.join(abs, f)))
-    .sort()
-    .map(f => ({ name: path.parse(f).name, path: path.join(abs, f) }));
-  if (!files.length) {
-    console.error(err(`\n✗ No audio files found in: ${abs}\n`));
-    process.exit(1);
+  if (plan.platform) {
+    const { title, fps, minDuration, maxDuration, maxSize } = plan.platform;
+    const limits = [
+      `${fps}fps`,
+      `${minDuration ? `${formatDuration(minDuration)} to ` : 'up to '}${formatDuration(maxDuration)}`,
+      `max ${formatBytes(maxSize)}`,
+    ].join(', ');
+    console.log(`  Platform: ${ok(title)} ${dim(`(${limits})`)}`);
   }
-  return files;
-}
-
-function parseOverlays(overlayArg, overlaysFileArg) {
-  const result = [];
-  if (overlayArg) {
-    const arr = Array.isArray(overlayArg) ? overlayArg : [overlayArg];
-    arr.forEach(t => result.push(t));
+  if (ENCODING_OPTIONS.some(key => opts[key] !== undefined)) {
+    const { codec, container, crf, bitrate, maxSize, fps, pixFmt, audioBitrate } = plan.encoding;
+    const details = [
+      maxSize ? `two-pass to fit ${formatBytes(maxSize)}` : bitrate ? `${bitrate} kbps` : `crf ${crf}`,
+      `${fps}fps`,
+      pixFmt,
+      `${CONTAINERS[container].audio === 'libopus' ? 'Opus' : 'AAC'} ${audioBitrate} kbps`,
+    ].join(', ');
+    console.log(`  Encoding: ${ok(`${CODECS[codec].title} .${container}`)} ${dim(`(${details})`)}`);
   }
-  if (overlaysFileArg) {
-    const abs = path.resolve(overlaysFileArg);
-    if (!fs.existsSync(abs)) {
-      console.error(err(`\n✗ Overlays file not found: ${abs}\n`));
-      process.exit(1);
-    }
-    const lines = fs.readFileSync(abs, 'utf-8').split('\n').map(l => l.trim()).filter(Boolean);
-    lines.forEach(l => result.push(l));
+  if (plan.loudness) {
+    const { target, truePeak } = plan.loudness;
+    console.log(`  Loudness: ${ok(`${target} LUFS`)} ${dim(`(true peak ${truePeak} dBTP)`)}`);
   }
-  return result;
-}
-
-function parseTrim(trimStr) {
-  if (!trimStr) return null;
-  // "0-3" means start at 0s, end at 3s (duration = end - start)
-  // "last3" means last 3 seconds
-  const lastMatch = trimStr.match(/^last(\d+(\.\d+)?)$/i);
-  if (lastMatch) {
-    const seconds = parseFloat(lastMatch[1]);
-    if (seconds <= 0) {
-      console.error(err(`\n✗ Invalid trim: "last" duration must be positive: "${trimStr}"\n`));
-      process.exit(1);
-    }
-    return { mode: 'last', seconds };
+  if (plan.transitions.some(Boolean)) {
+    const boundaries = plan.transitions.map((t, i) => `${plan.labels[i]}>${plan.labels[i + 1]} ${t ? `${t.type} ${t.duration}s` : 'cut'}`);
+    console.log(`  Transitions: ${boundaries.join(', ')}`);
   }
-  const rangeMatch = trimStr.match(/^(\d+(\.\d+)?)-(\d+(\.\d+)?)$/);
-  if (rangeMatch) {
-    const start = parseFloat(rangeMatch[1]);
-    const end = parseFloat(rangeMatch[3]);
-    if (end <= start) {
-      console.error(err(`\n✗ Invalid trim range: end (${end}) must be greater than start (${start})\n`));
-      process.exit(1);
-    }
-    return { mode: 'range', start, duration: end - start };
+  if (plan.draft) console.log(`  Draft: ${ok('low-resolution previews')} ${dim(`(${plan.renderOpts.preset} preset, crf ${plan.encoding.crf})`)}`);
+  if (plan.storyboard) {
+    console.log(`  Storyboard: ${ok(`${plan.storyboard.frames} frame(s) per segment`)} ${dim('(contact sheets only, no video)')}`);
+  }
+  console.log(`  Output: ${bold(plan.combos.length + ' combinations')} → ${plan.outDir}`);
+  const length = describeLength(plan.combos);
+  if (length) console.log(`  Length: ${length}`);
+  if (opts.formats) {
+    const fitLabel = f => (f.fit === 'crop' ? `crop@${f.focus.x}/${f.focus.y}` : f.fit);
+    console.log(`  Formats: ${plan.formats.map(f => `${f.name} ${dim(`(${f.width}×${f.height}, ${fitLabel(f)})`)}`).join(', ')}`);
+    console.log(`  Naming: ${dim(plan.namingTemplate)}\n`);
+  } else {
+    const [{ width, height }] = plan.formats;
+    console.log(`  Size: ${width}×${height}  Naming: ${dim(plan.namingTemplate)}\n`);
   }
-  // Just a number = duration from start
-  const dur = parseFloat(trimStr);
-  if (!isNaN(dur) && dur > 0) return { mode: 'range', start: 0, duration: dur };
-  console.error(err(`\n✗ Invalid trim format: "${trimStr}". Use "0-3", "last3", or "3" (must be positive)\n`));
-  process.exit(1);
 }
 
-function parseSegments(segArgs) {
-  // Parse "label:./path" pairs
-  // Handle Windows paths with drive letters (e.g., hook:C:\path) by only splitting on first colon
-  // But also handle label:./path correctly
-  const segments = [];
-  for (const seg of segArgs) {
-    const colonIdx = seg.indexOf(':');
-    if (colonIdx === -1) {
-      console.error(err(`\n✗ Invalid segment format: "${seg}". Use label:./path\n`));
-      process.exit(1);
-    }
-    const label = seg.substring(0, colonIdx).trim();
-    const dir = seg.substring(colonIdx + 1).trim();
-    if (!label) {
-      console.error(err(`\n✗ Segment label cannot be empty: "${seg}"\n`));
-      process.exit(1);
-    }
-    if (!dir) {
-      console.error(err(`\n✗ Segment path cannot be empty: "${seg}"\n`));
-      process.exit(1);
-    }
-    const videos = getVideos(dir, label);
-    segments.push({ label, videos });
-  }
-  if (segments.length === 0) {
-    console.error(err(`\n✗ No segments provided\n`));
-    process.exit(1);
+/**
+ * Outputs that break the --platform's limits, skipped or not.
+ */
+function printViolations(violations, platform) {
+  if (!violations.length) return;
+  const skipped = violations.filter(v => v.skipped).length;
+  console.log(warn(`  ⚠ ${violations.length} video(s) break ${platform.title}'s limits${skipped ? `, ${skipped} skipped` : ''}:`));
+  for (const v of violations.slice(0, VIOLATION_LINES)) {
+    console.log(warn(`    • ${v.name}: ${v.problems.join('; ')}`) + (v.skipped ? dim(' — skipped') : ''));
   }
-  return segments;
+  if (violations.length > VIOLATION_LINES) console.log(dim(`    … and ${violations.length - VIOLATION_LINES} more`));
 }
 
-function cartesian(arrays) {
-  if (arrays.length === 0) return [[]];
-  return arrays.reduce((acc, arr) =>
-    acc.flatMap(combo => arr.map(item => [...combo, item])),
-    [[]]
-  );
+function printDryRun(plan) {
+  const opts = plan.options;
+  const filteredTotal = plan.totalCombos - plan.availableCombos;
+  const pending = new Set(plan.toRender.map(c => c.name));
+  const violations = new Map(plan.violations.map(v => [v.name, v.problems]));
+  console.log(warn('  📋 Dry run — these files would be generated:\n'));
+  plan.combos.forEach((c, i) => {
+    const extra = [];
+    if (c.overlayText) extra.push(`overlay: "${c.overlayText}"`);
+    if (c.logo && opts.logoDir) extra.push(`logo: ${c.logo.name}`);
+    if (c.music) extra.push(`music: ${c.music.name}`);
+    if (c.duration != null) extra.push(formatDuration(c.duration));
+    const suffix = extra.length ? dim(` (${extra.join(', ')})`) : '';
+    const status = pending.has(c.name) ? '' : dim(' — up to date');
+    const problems = violations.has(c.name) ? warn(` ⚠ ${violations.get(c.name).join('; ')}`) : '';
+    console.log(dim(`  ${String(i + 1).padStart(4)}. `) + c.name + suffix + status + problems);
+  });
+  const length = describeLength(plan.toRender);
+  const noun = plan.storyboard ? 'storyboard(s)' : 'video(s)';
+  console.log(ok(`\n  ✓ ${plan.toRender.length} ${noun} would be created.`) + (length ? dim(` (${length})`) : ''));
+  if (opts.thumbnails && !plan.storyboard) {
+    const only = plan.thumbnailOnly.length ? dim(` (${plan.thumbnailOnly.length} for up-to-date videos)`) : '';
+    console.log(ok(`  ✓ ${plan.toRender.length + plan.thumbnailOnly.length} thumbnail(s) would be created.`) + only);
+  }
+  if (filteredTotal) console.log(dim(`  ${filteredTotal} combination(s) filtered out by rules: ${describeFiltered(plan.filtered)}`));
+  if (plan.skipped) console.log(dim(`  ${plan.skipped} already up to date (use --force to rebuild them)`));
+  if (plan.stale.length) console.log(dim(`  ${plan.stale.length} stale output(s) from an earlier run would be removed`));
+  const skipped = plan.violations.filter(v => v.skipped);
+  if (skipped.length) console.log(warn(`  ⚠ ${skipped.length} video(s) skipped for breaking ${plan.platform.title}'s limits`));
+  console.log(dim(`\n  Remove --dry-run to actually generate the videos.\n`));
 }
 
-function applyNaming(template, parts, index) {
-  const date = new Date().toISOString().slice(0, 10);
-  let name = template;
-  // Replace {index} with zero-padded index
-  name = name.replace(/\{index\}/g, String(index + 1).padStart(4, '0'));
-  name = name.replace(/\{date\}/g, date);
-  // Replace {label} patterns with corresponding part names
-  for (const p of parts) {
-    // Replace all occurrences of {label} with the part's video name
-    name = name.replace(new RegExp(`\\{${escapeRegex(p.label)}\\}`, 'g'), p.video.name);
-  }
-  // Replace any generic {0}, {1}, {2} etc with part names by position
-  parts.forEach((p, i) => {
-    name = name.replace(new RegExp(`\\{${i}\\}`, 'g'), p.video.name);
+/**
+ * The `inspect` table: one row per clip, then each clip's problems.
+ */
+function printInspectReport(report) {
+  const formats = report.formats.map(f => `${f.name ? `${f.name} ` : ''}${f.width}×${f.height} ${f.fit}`).join(', ');
+  console.log(`  Checked against: ${dim(formats)}\n`);
+
+  const header = ['CLIP', 'SIZE', 'ASPECT', 'FPS', 'LENGTH', 'CODECS', 'ROTATION', 'AUDIO'];
+  const rows = report.clips.map(c => [
+    `${c.segment}/${c.name}`,
+    c.width ? `${c.width}×${c.height}` : '—',
+    c.aspect || '—',
+    c.fps ? `${c.fps}${c.vfr ? ' VFR' : ''}` : '—',
+    c.duration != null ? formatDuration(c.duration) : '—',
+    c.kind === 'card' ? 'text card' : [c.videoCodec, c.audioCodec].filter(Boolean).join('/') || '—',
+    c.rotation ? `${c.rotation}°` : '—',
+    c.audio ? 'yes' : 'no',
+  ]);
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(dim(`    ${line(header)}`));
+  report.clips.forEach((c, i) => {
+    const mark = c.errors.length ? err('✗') : c.warnings.length ? warn('⚠') : ok('✓');
+    console.log(`  ${mark} ${line(rows[i])}`);
   });
-  return name;
-}
 
-function escapeRegex(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const flagged = report.clips.filter(c => c.errors.length || c.warnings.length);
+  if (flagged.length) console.log('');
+  for (const c of flagged) {
+    console.log(`  ${c.segment}/${c.name} ${dim(`(${c.path})`)}`);
+    c.errors.forEach(message => console.log(err(`    ✗ ${message}`)));
+    c.warnings.forEach(message => console.log(warn(`    ⚠ ${message}`)));
+  }
+
+  const totals = `${report.clips.length} clip(s) inspected: ${report.errors} error(s), ${report.warnings} warning(s)`;
+  console.log('\n' + (report.errors ? err(`  ✗ ${totals}`) : report.warnings ? warn(`  ⚠ ${totals}`) : ok(`  ✓ ${totals}`)) + '\n');
 }
 
-function getVideoDuration(filePath) {
-  try {
-    const result = execSync(
-      `ffprobe -v error -show_entries format=duration -of csv=p=0 ${shellEscape(filePath)}`,
-      { encoding: 'utf-8', timeout: 30000 }
-    ).trim();
-    const dur = parseFloat(result);
-    if (isNaN(dur) || dur <= 0) return null;
-    return dur;
-  } catch {
-    return null;
-  }
+// ── No-args detection ────────────────────────────────────────────────────────
+
+if (process.argv.length <= 2 && !fs.existsSync(path.resolve(CONFIG_FILENAME))) {
+  showGettingStarted();
+  process.exit(0);
 }
 
+// ── Main ─────────────────────────────────────────────────────────────────────
+
 /**
- * Probe whether a video file has an audio stream.
+ * The options to plan with: the flags actually typed (the library fills in
+ * defaults), then the config file's values. `config` is the loaded config
+ * file, or null.
  */
-function hasAudioStream(filePath) {
-  try {
-    const result = execSync(
-      `ffprobe -v error -select_streams a -show_entries stream=codec_type -of csv=p=0 ${shellEscape(filePath)}`,
-      { encoding: 'utf-8', timeout: 30000 }
-    ).trim();
-    return result.length > 0;
-  } catch {
-    return false;
+function collectOptions(opts, cmd) {
+  const options = {};
+  for (const [key, value] of Object.entries(opts)) {
+    if (cmd.getOptionValueSource(key) === 'cli') options[key] = value;
   }
-}
 
-function ensureDir(dir) {
-  fs.mkdirSync(path.resolve(dir), { recursive: true });
+  // CLI flags take precedence over the config file
+  const configFile = findConfigFile(opts.config);
+  const config = configFile ? loadConfig(configFile) : null;
+  if (config) applyConfig(config, options);
+  return { options, config };
 }
 
-function checkFfmpeg() {
-  try {
-    execSync('ffmpeg -version', { stdio: 'ignore' });
-  } catch {
-    console.error(err('\n✗ ffmpeg is not installed or not in your PATH.\n'));
-    console.error(warn('  Mac: brew install ffmpeg | Windows: choco install ffmpeg\n'));
-    process.exit(1);
+/**
+ * Options for --retry-failed: the failed run's own, limited to the outputs
+ * that failed, with any flags given now (say --jobs 1) on top. The run
+ * starts in the folder the failed one did, so its relative paths still
+ * point at the same clips.
+ */
+function collectRetryOptions(opts, cmd) {
+  const file = path.resolve(opts.retryFailed);
+  const failures = loadFailures(file);
+  const options = { ...failures.options };
+  for (const [key, value] of Object.entries(opts)) {
+    if (cmd.getOptionValueSource(key) === 'cli' && key !== 'retryFailed') options[key] = value;
+  }
+  options.only = failures.names;
+  if (failures.cwd && failures.cwd !== process.cwd() && fs.existsSync(failures.cwd)) {
+    // Paths given now are meant from here
+    if (options.logDir && options.logDir !== failures.options.logDir) options.logDir = path.resolve(options.logDir);
+    process.chdir(failures.cwd);
   }
+  return { options, retry: { file, count: failures.names.length } };
 }
 
-function checkWhisper() {
-  try {
-    execSync('which whisper || where whisper 2>/dev/null', { stdio: 'ignore' });
-    return true;
-  } catch {
-    return false;
+/**
+ * `adblitz inspect`: probe the clips a run would use. Segment and output
+ * flags are the main command's, so they go to `program`.
+ */
+function inspect(inspectOpts) {
+  const { options, config } = collectOptions(program.opts(), program);
+  const plan = planCombos(options);
+  const report = inspectClips(plan);
+  // Unreadable clips fail CI; warnings don't
+  if (report.errors) process.exitCode = 1;
+
+  // --json works before or after `inspect`
+  if (inspectOpts.json || program.opts().json) {
+    console.log(JSON.stringify({ ...report, planWarnings: plan.warnings }, null, 2));
+    return;
   }
+  console.log(title('\n🎬 AdBlitz v' + VERSION + ' — Clip Inspection\n'));
+  if (config) console.log(dim(`  Using config: ${config.file}\n`));
+  for (const message of plan.warnings) console.log(warn(`  ⚠ ${message}\n`));
+  printInspectReport(report);
 }
 
-function runFfmpeg(cmd) {
-  return new Promise((resolve, reject) => {
-    const proc = exec(cmd, { maxBuffer: 50 * 1024 * 1024 }, (error, stdout, stderr) => {
-      if (error) reject(new Error(stderr || error.message));
-      else resolve(stdout);
-    });
-    // Ensure child process doesn't keep Node alive on unhandled errors
-    proc.on('error', (e) => reject(e));
-  });
+/**
+ * Ctrl-C (or SIGTERM) cancels the render: ffmpeg is stopped and partial
+ * files are removed. A second one quits at once. Returns a function that
+ * stops listening.
+ */
+function cancelOnSignal(job, onCancel) {
+  let interrupted = false;
+  const onSignal = () => {
+    if (interrupted) process.exit(130);
+    interrupted = true;
+    job.cancel();
+    onCancel();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  return () => {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+  };
 }
 
 /**
- * Run tasks with limited concurrency.
+ * --json: the run as newline-delimited JSON on stdout, one event per line
+ * (plan, start, done, error, summary), for dashboards and scripts. Nothing
+ * else goes to stdout; errors that stop the run still go to stderr.
  */
-async function runWithConcurrency(tasks, concurrency, onComplete) {
-  let index = 0;
-  let completed = 0;
-  const results = new Array(tasks.length);
-
-  async function worker() {
-    while (index < tasks.length) {
-      const i = index++;
-      try {
-        results[i] = { ok: true, value: await tasks[i]() };
-      } catch (e) {
-        results[i] = { ok: false, error: e };
-      }
-      completed++;
-      if (onComplete) onComplete(completed, i, results[i]);
-    }
+async function mainJson(opts, cmd) {
+  const emit = (type, fields) => console.log(JSON.stringify({ type, time: new Date().toISOString(), ...fields }));
+  const { options } = opts.retryFailed ? collectRetryOptions(opts, cmd) : collectOptions(opts, cmd);
+  const plan = planCombos(options);
+  const pending = new Set(plan.toRender.map(c => c.name));
+  emit('plan', {
+    outDir: plan.outDir,
+    dryRun: !!opts.dryRun,
+    draft: plan.draft,
+    storyboard: plan.storyboard,
+    outputs: plan.combos.map(c => ({ name: c.name, duration: c.duration, upToDate: !pending.has(c.name) })),
+    toRender: plan.toRender.length,
+    skipped: plan.skipped,
+    stale: plan.stale.length,
+    violations: plan.violations,
+    warnings: plan.warnings,
+  });
+  if (opts.dryRun) return;
+
+  const job = render(plan);
+  const stopListening = cancelOnSignal(job, () => console.error('Cancelling: stopping ffmpeg and removing partial files'));
+  const failure = (error, log) => ({ error: lastLines(error.message), ...(log && { log }) });
+  job.on('clip:start', ({ part, format }) => emit('start', { job: 'clip', name: clipLabel(part, format) }));
+  job.on('clip:done', ({ part, format }) => emit('done', { job: 'clip', name: clipLabel(part, format) }));
+  job.on('clip:error', ({ part, format, error, log }) => emit('error', { job: 'clip', name: clipLabel(part, format), ...failure(error, log) }));
+  job.on('caption:start', ({ part }) => emit('start', { job: 'caption', name: clipLabel(part) }));
+  job.on('caption:done', ({ part }) => emit('done', { job: 'caption', name: clipLabel(part) }));
+  job.on('caption:error', ({ part, error }) => emit('error', { job: 'caption', name: clipLabel(part), ...failure(error) }));
+  const comboJob = plan.storyboard ? 'storyboard' : 'video';
+  job.on('combo:start', ({ combo, duration }) => emit('start', { job: comboJob, name: combo.name, duration }));
+  job.on('combo:done', ({ combo, file, loudness }) => emit('done', { job: comboJob, name: combo.name, file, ...(loudness && { loudness }) }));
+  job.on('combo:error', ({ combo, error, log }) => emit('error', { job: comboJob, name: combo.name, ...failure(error, log) }));
+
+  const summary = await job.done.finally(stopListening);
+  if (summary.cancelled) process.exitCode = 130;
+  emit('summary', summary);
+}
+
+async function main(opts, cmd) {
+  if (opts.json) return mainJson(opts, cmd);
+  console.log(title('\n🎬 AdBlitz v' + VERSION + ' — Bulk Video Ad Generator\n'));
+
+  const { options, config, retry } = opts.retryFailed ? collectRetryOptions(opts, cmd) : collectOptions(opts, cmd);
+  if (config) console.log(dim(`  Using config: ${config.file}\n`));
+  if (retry) console.log(dim(`  Re-running ${retry.count} failed output(s) from ${retry.file}\n`));
+
+  const plan = planCombos(options);
+  for (const message of plan.warnings) console.log(warn(`  ⚠ ${message}\n`));
+  printSummary(plan);
+
+  if (opts.dryRun) {
+    printDryRun(plan);
+    return;
   }
 
-  const workers = [];
-  for (let i = 0; i < Math.min(concurrency, tasks.length); i++) {
-    workers.push(worker());
+  const { toRender, combos, stale, outDir } = plan;
+  const job = render(plan);
+
+  const stopListening = cancelOnSignal(job, () => {
+    console.log(warn('\n\n  ⚠ Cancelling: stopping ffmpeg and removing partial files (press Ctrl-C again to quit now)'));
+  });
+
+  // ── Progress bars ──────────────────────────────────────────────────
+  // Clips count one each; videos count by their length in seconds
+  const workers = opts.progress === 'workers';
+  let clipBar = null;
+  let bar = null;
+  const clipKey = (part, format) => `${part.label}\0${part.video.path}\0${format.name}`;
+  job.on('clip:start', ({ part, format, total }) => {
+    if (!clipBar) clipBar = createJobProgress('Clips   ', { count: total, total, workers });
+    clipBar.start(clipKey(part, format), clipLabel(part, format), 1);
+  });
+  job.on('clip:progress', ({ part, format, time, duration, speed }) => {
+    if (duration) clipBar.update(clipKey(part, format), time / duration, speed);
+  });
+  job.on('clip:retry', ({ part, format }) => clipBar.update(clipKey(part, format), 0, null));
+  const onClip = ({ part, format }) => clipBar.finish(clipKey(part, format), clipLabel(part, format), 1);
+  job.on('clip:done', onClip);
+  job.on('clip:error', onClip);
+  let captionBar = null;
+  job.on('caption:start', ({ total }) => {
+    if (captionBar) return;
+    if (clipBar) clipBar.stop();
+    captionBar = createProgressBar('Captions');
+    captionBar.start(total, 0, { current: '' });
+  });
+  const onCaption = ({ part, completed }) => {
+    captionBar.update(completed, { current: clipLabel(part).substring(0, 50) });
+  };
+  job.on('caption:done', onCaption);
+  job.on('caption:error', onCaption);
+  // Videos of unknown length count as the average of the rest
+  const known = toRender.map(c => c.duration).filter(Boolean);
+  const typical = known.length ? known.reduce((a, b) => a + b, 0) / known.length : 1;
+  const weight = combo => combo.duration || typical;
+  job.on('combo:start', ({ combo }) => {
+    if (!bar) {
+      if (captionBar) captionBar.stop();
+      else if (clipBar) clipBar.stop();
+      bar = createJobProgress('Progress', {
+        count: toRender.length,
+        total: toRender.reduce((sum, c) => sum + weight(c), 0),
+        workers,
+        speed: known.length > 0,
+      });
+    }
+    bar.start(combo, combo.name, weight(combo));
+  });
+  job.on('combo:progress', ({ combo, time, speed }) => bar.update(combo, time, speed));
+  job.on('combo:retry', ({ combo }) => bar.update(combo, 0, null));
+  const onCombo = ({ combo }) => bar.finish(combo, combo.name, weight(combo));
+  job.on('combo:done', onCombo);
+  job.on('combo:error', onCombo);
+  const loudnessReport = [];
+  job.on('combo:done', ({ combo, loudness }) => {
+    if (loudness) loudnessReport.push({ name: combo.name, ...loudness });
+  });
+
+  const summary = await job.done.finally(stopListening);
+  if (summary.cancelled) process.exitCode = 130;
+
+  if (!toRender.length) {
+    console.log(ok(`  ✓ All ${combos.length} video(s) are up to date — nothing to render.`));
+    if (stale.length) console.log(dim(`  ${stale.length} stale output(s) removed`));
+    if (summary.thumbnails) console.log(ok(`  ✓ ${summary.thumbnails} thumbnail(s) made for up-to-date videos`));
+    if (summary.exported !== null) console.log(ok(`  ✓ Ad manifest saved to ${EXPORT_BASENAME}.csv / ${EXPORT_BASENAME}.json`));
+    if (summary.gallery) console.log(ok(`  ✓ Review gallery saved to ${summary.gallery}`));
+    printViolations(summary.violations, plan.platform);
+    console.log(dim(`\n  Use --force to re-render everything.\n`));
+    return;
   }
-  await Promise.all(workers);
-  return results;
-}
 
-// ── No-args detection ────────────────────────────────────────────────────────
+  if (captionBar && !bar) captionBar.stop();
+  else if (clipBar && !bar) clipBar.stop();
+  if (bar) bar.stop(summary.cancelled ? null : 'Done!');
 
-if (process.argv.length <= 2) {
-  showGettingStarted();
-  process.exit(0);
+  // ── Results ────────────────────────────────────────────────────────
+  console.log('');
+  if (summary.rendered > 0) {
+    const what = plan.storyboard ? 'storyboard(s)' : plan.draft ? 'draft preview(s)' : 'video(s)';
+    console.log(ok(`  ✓ ${summary.rendered} ${what} generated successfully!`));
+  }
+  if (opts.thumbnails && !plan.storyboard && (summary.rendered > 0 || summary.thumbnails > 0)) {
+    const where = plan.options.formats ? `each format's thumbnails/ folder` : path.join(outDir, 'thumbnails');
+    console.log(ok(`  ✓ Thumbnails saved to ${where}`));
+  }
+  if (loudnessReport.length) {
+    const lufs = v => (v == null ? 'silent' : v.toFixed(1));
+    console.log(ok(`  ✓ Loudness (LUFS, sources → final):`));
+    for (const r of loudnessReport.slice(0, LOUDNESS_REPORT_LINES)) {
+      const sources = Object.entries(r.sources).map(([label, v]) => `${label} ${lufs(v)}`).join(', ');
+      console.log(dim(`    • ${r.name}: ${sources} → ${lufs(r.final)}`));
+    }
+    if (loudnessReport.length > LOUDNESS_REPORT_LINES) {
+      console.log(dim(`    … ${loudnessReport.length - LOUDNESS_REPORT_LINES} more in ${MANIFEST_FILENAME}`));
+    }
+  }
+  for (const message of summary.warnings) console.log(warn(`  ⚠ ${message}`));
+  printViolations(summary.violations, plan.platform);
+  if (summary.retried.length) {
+    console.log(warn(`  ↻ ${summary.retried.length} job(s) needed more than one try:`));
+    summary.retried.forEach(r => console.log(dim(`    • ${r.name}: ${r.attempts} attempts`)));
+  }
+  if (summary.failed > 0) {
+    console.log(err(`  ✗ ${summary.failed} failed:`));
+    summary.errors.forEach(e => console.log(err(`    • ${e.name}: ${e.error}`) + (e.log ? dim(` (log: ${path.relative(process.cwd(), e.log)})`) : '')));
+    if (summary.failedFile) console.log(dim(`  Re-run just these with: adblitz --retry-failed ${path.relative(process.cwd(), summary.failedFile)}`));
+  }
+  if (summary.cancelled) {
+    console.log(warn(`  ⚠ ${summary.cancelled} cancelled — run the same command again to render them`));
+  }
+  if (plan.logDir) console.log(ok(`  ✓ ffmpeg logs saved to ${plan.logDir}`));
+  if (summary.exported) console.log(ok(`  ✓ Ad manifest saved to ${EXPORT_BASENAME}.csv / ${EXPORT_BASENAME}.json (${summary.exported} rows)`));
+  if (summary.gallery) console.log(ok(`  ✓ Review gallery saved to ${summary.gallery} — open it in a browser`));
+  console.log(dim(`  ${summary.skipped} skipped, ${summary.rendered} rebuilt, ${summary.staleRemoved} stale output(s) removed`));
+  console.log(dim('\n  ─────────────────────────────────────────────'));
+  console.log(ok(`\n  📁 Your files are in ${outDir}\n`));
+  if (plan.draft || plan.storyboard) console.log(dim(`  Remove --${plan.draft ? 'draft' : 'storyboard'} to render the videos at full quality.\n`));
 }
 
-// ── Main ─────────────────────────────────────────────────────────────────────
-
 program
   .name('adblitz')
   .description('Bulk video ad generator — combine video segments into every combination')
   .version(VERSION)
 
+  // Config file
+  .option('--config <file>', `Load options from a JSON config file (default: ./${CONFIG_FILENAME} if present)`)
+  .option('--no-config', `Don't auto-load ./${CONFIG_FILENAME}`)
+
   // Classic mode
   .option('--hooks <dir>', 'Folder containing hook video clips')
   .option('--ctas <dir>', 'Folder containing CTA video clips')
@@ -402,12 +695,59 @@ program
   // Custom segments mode
   .option('--segments <items...>', 'Custom segments as label:./path pairs (e.g. hook:./hooks body:./bodies cta:./ctas)')
 
+  // Images and text cards in segment folders
+  .option('--image-duration <s>', 'Seconds an image or card shows, unless its filename says (e.g. offer@5s.png)', String(DEFAULTS.imageDuration))
+  .option('--ken-burns', 'Slowly zoom into images')
+
   // Output
-  .option('--output <dir>', 'Output folder', './output')
-  .option('--width <n>', 'Output width in pixels', '1080')
-  .option('--height <n>', 'Output height in pixels', '1920')
-  .option('--preset <name>', 'ffmpeg encoding preset', 'fast')
+  .option('--output <dir>', 'Output folder', DEFAULTS.output)
+  .option('--width <n>', 'Output width in pixels', String(DEFAULTS.width))
+  .option('--height <n>', 'Output height in pixels', String(DEFAULTS.height))
+  .option('--formats <list>', 'Render every combo in several aspect ratios, e.g. 9x16,1x1:crop,4x5:blur-fill')
+  .option('--fit <mode>', 'How clips fill the frame: pad, crop, blur-fill', DEFAULTS.fit)
+  .option('--focal-point <x/y>', 'Crop focal point: center, top, bottom, left, right, or x/y from 0-1', DEFAULTS.focalPoint)
+  .option('--platform <name>', `Size, encode and check outputs for a placement: ${Object.keys(PLATFORMS).join(', ')}`)
+  .option('--skip-violations', "Don't render videos that break the --platform's length limits")
+  .option('--preset <name>', 'ffmpeg encoding preset', DEFAULTS.preset)
+  .option('--codec <name>', `Video codec: ${Object.keys(CODECS).join(', ')} (default: h264)`)
+  .option('--crf <n>', 'Constant quality, lower is better (default: 23 for h264, 28 h265, 32 vp9/av1)')
+  .option('--bitrate <rate>', 'Average video bitrate instead of --crf, e.g. 2500k or 4M')
+  .option('--fps <n>', 'Frame rate (default: 30)')
+  .option('--pix-fmt <fmt>', 'Pixel format (default: yuv420p)')
+  .option('--audio-bitrate <rate>', 'Audio bitrate, e.g. 96k (default: 128k)')
+  .option('--container <ext>', `File type: ${Object.keys(CONTAINERS).join(', ')} (default: set by the codec)`)
+  .option('--max-size <size>', 'Fit each video into a file size with two-pass encoding, e.g. 4MB')
   .option('--dry-run', 'Preview combinations without rendering')
+  .option('--draft', `Render quick low-resolution previews into ${DRAFT_DIRNAME}/ in the output folder`)
+  .option('--storyboard', `Write a contact sheet per combo into ${STORYBOARD_DIRNAME}/ instead of rendering videos`)
+  .option('--storyboard-frames <n>', `Frames per segment on a storyboard (1-${MAX_STORYBOARD_FRAMES})`, String(DEFAULTS.storyboardFrames))
+  .option('--force', 'Re-render every output, even ones that are already up to date')
+  .addOption(new Option('--progress <style>', 'Progress display: one bar, or workers for a line per running job')
+    .choices(PROGRESS_STYLES)
+    .default(PROGRESS_STYLES[0]))
+
+  // Scheduling
+  .option('--jobs <n>', 'ffmpeg jobs to run at once, or "auto" for half the CPU cores', DEFAULTS.jobs)
+  .option('--retries <n>', 'Try a failed clip or video again up to n times, waiting longer each time', String(DEFAULTS.retries))
+  .option('--timeout <s>', 'Stop a clip or video that takes longer than s seconds (counts as a failure)')
+
+  // Logs and reports
+  .option('--log-dir <dir>', 'Keep every job\'s ffmpeg commands and full output in dir, one .log file per job')
+  .option('--json', 'Print NDJSON events (plan, start, done, error, summary) to stdout instead of progress bars')
+  .option('--retry-failed <file>', `Render only the outputs listed in an earlier run's ${FAILED_FILENAME}, with its options`)
+
+  // Combination rules
+  .option('--exclude <rules...>', 'Skip combos matching every part of a rule, e.g. "hook:price-*,cta:free-trial"')
+  .option('--require <rules...>', 'Combos matching the first part of a rule must match the rest, e.g. "hook:bf-*,cta:discount-*"')
+
+  // Sampling
+  .option('--max <n>', 'Render at most n segment combinations (sampled)')
+  .option('--seed <n>', `Seed for --max sampling (default: ${DEFAULTS.seed})`)
+  .option('--design <type>', 'Sampling design for --max: random, balanced', DEFAULTS.design)
+
+  // Transitions
+  .option('--transition <spec>', 'Transition at every segment boundary, e.g. fade:0.3, dissolve, wipeleft, dip-to-black')
+  .option('--transition-at <rules...>', 'Transition at one boundary, e.g. "hook>body=fade:0.5" or "body>cta=cut"')
 
   // Naming
   .option('--naming <template>', 'Custom naming template, e.g. {hook}_{body}_{cta}_{date}')
@@ -415,524 +755,75 @@ program
   // Music
   .option('--music <path>', 'Background music file or folder')
   .option('--music-all', 'Multiply combos × all music tracks (instead of random)')
+  .option('--music-volume <n>', 'Music volume relative to the clips\' audio (1 = unchanged)', String(DEFAULTS.musicVolume))
+  .option('--music-fade-in <s>', 'Fade the music in over s seconds')
+  .option('--music-fade-out <s>', 'Fade the music out over the last s seconds')
+  .option('--music-start <s>', 'Start the music s seconds into the track')
+  .option('--duck', 'Lower the music automatically while someone is speaking')
+
+  // Loudness
+  .option('--loudness <target>', `Normalize audio to a LUFS target, e.g. -14, or a preset: ${Object.keys(LOUDNESS_PRESETS).join(', ')}`)
 
   // Text overlays
   .option('--overlay <text...>', 'Text to burn onto videos (repeatable)')
   .option('--overlays <file>', 'File with overlay texts (one per line)')
-  .option('--overlay-pos <pos>', 'Overlay position: top, center, bottom', 'bottom')
-  .option('--overlay-size <n>', 'Overlay font size', '48')
-  .option('--overlay-color <color>', 'Overlay text color', 'white')
+  .option('--overlay-pos <pos>', 'Overlay position: top, center, bottom', DEFAULTS.overlayPos)
+  .option('--overlay-size <n>', 'Overlay font size', String(DEFAULTS.overlaySize))
+  .option('--overlay-color <color>', 'Overlay text color', DEFAULTS.overlayColor)
+  .option('--overlay-spec <file>', 'JSON file of styled, timed text layers (fonts, boxes, placement, animation)')
+
+  // Logos
+  .option('--logo <file>', 'Image (e.g. a transparent PNG) to place on every video')
+  .option('--logo-dir <dir>', 'Folder of logos or badges — each becomes a variation')
+  .option('--logo-pos <corner>', 'Logo corner: top-left, top-right, bottom-left, bottom-right', DEFAULTS.logoPos)
+  .option('--logo-margin <n>', 'Distance from the corner as a share of the video width', String(DEFAULTS.logoMargin))
+  .option('--logo-scale <n>', 'Logo width as a share of the video width', String(DEFAULTS.logoScale))
+  .option('--logo-opacity <n>', 'Logo opacity from 0 to 1', String(DEFAULTS.logoOpacity))
+  .option('--logo-start <s>', 'Show the logo from s seconds')
+  .option('--logo-end <s>', 'Hide the logo after s seconds')
+
+  // Ad manifest export
+  .option('--column <spec...>', 'Extra manifest column as "Name=template", e.g. "Headline=Shop {cta}" (repeatable)')
+  .option('--no-export', 'Don\'t write manifest.csv / manifest.json')
+  .option('--no-gallery', `Don't write the ${GALLERY_FILENAME} review gallery`)
 
   // Thumbnails
   .option('--thumbnails', 'Extract a thumbnail from each video')
-  .option('--thumb-time <t>', 'Thumbnail timestamp in seconds', '0')
+  .option('--thumb-time <t>', 'Thumbnail timestamp in seconds', String(DEFAULTS.thumbTime))
 
   // Captions
-  .option('--captions', 'Auto-generate captions using whisper and burn into video')
+  .option('--captions', 'Caption videos from each clip\'s .srt/.vtt or whisper, and burn them in')
+  .option('--caption-style <name>', `Caption look: ${Object.keys(CAPTION_STYLES).join(', ')}`, DEFAULTS.captionStyle)
+  .option('--caption-position <pos>', 'Caption position: top, center, bottom (default: set by the style)')
+  .option('--caption-words <n>', 'Show at most n words per caption')
+  .option('--karaoke', 'Highlight each word as it is spoken')
+  .option('--caption-highlight <color>', 'Karaoke highlight color, a name or #RRGGBB (default: set by the style)')
+  .option('--captions-mode <mode>', 'burn captions in, write .srt/.vtt sidecars, or both: burn, sidecar, both', DEFAULTS.captionsMode)
+  .option('--captions-fallback <mode>', 'Clips without their own .srt/.vtt: whisper, none', DEFAULTS.captionsFallback)
 
   // Trimming
   .option('--trim-hook <spec>', 'Trim hooks: "0-3", "last3", or just "3"')
   .option('--trim-body <spec>', 'Trim bodies')
   .option('--trim-cta <spec>', 'Trim CTAs')
 
-  .action(async (opts) => {
-    console.log(title('\n🎬 AdBlitz v' + VERSION + ' — Bulk Video Ad Generator\n'));
-
-    // ── Warn if --segments used with classic flags ─────────────────────
-    if (opts.segments && opts.segments.length && (opts.hooks || opts.ctas || opts.bodies)) {
-      console.log(warn('  ⚠ --segments provided; ignoring --hooks/--bodies/--ctas flags\n'));
-    }
-
-    // ── Determine segments ─────────────────────────────────────────────────
-    let segments = []; // array of { label, videos }
-    let trimMap = {};  // label -> trim spec
-
-    if (opts.segments && opts.segments.length) {
-      // Custom segments mode
-      segments = parseSegments(opts.segments);
-    } else {
-      // Classic mode - need at least hooks and ctas
-      if (!opts.hooks || !opts.ctas) {
-        console.error(err('\n✗ You need at least --hooks and --ctas (or use --segments)\n'));
-        console.error(warn('  Example: adblitz --hooks ./hooks --ctas ./ctas'));
-        console.error(warn('  Example: adblitz --segments hook:./hooks body:./bodies cta:./ctas\n'));
-        process.exit(1);
-      }
-      segments.push({ label: 'hook', videos: getVideos(opts.hooks, 'Hooks') });
-      if (opts.bodies) segments.push({ label: 'body', videos: getVideos(opts.bodies, 'Bodies') });
-      segments.push({ label: 'cta', videos: getVideos(opts.ctas, 'CTAs') });
-    }
-
-    // Parse trim specs
-    if (opts.trimHook) trimMap['hook'] = parseTrim(opts.trimHook);
-    if (opts.trimBody) trimMap['body'] = parseTrim(opts.trimBody);
-    if (opts.trimCta) trimMap['cta'] = parseTrim(opts.trimCta);
+  .action((opts, cmd) => main(opts, cmd).catch(e => {
+    if (!(e instanceof AdblitzError)) throw e;
+    printError(e);
+    process.exit(1);
+  }));
 
-    // ── Validate width/height ──────────────────────────────────────────
-    const w = parseInt(opts.width, 10);
-    const h = parseInt(opts.height, 10);
-    if (isNaN(w) || w <= 0 || w % 2 !== 0) {
-      console.error(err(`\n✗ --width must be a positive even number, got: ${opts.width}\n`));
-      process.exit(1);
-    }
-    if (isNaN(h) || h <= 0 || h % 2 !== 0) {
-      console.error(err(`\n✗ --height must be a positive even number, got: ${opts.height}\n`));
+program
+  .command('inspect')
+  .description('Probe every clip in the segment folders and flag problems before rendering. Takes the same segment and output flags, e.g. adblitz inspect --hooks ./hooks --ctas ./ctas --formats 9x16,1x1')
+  .option('--json', 'Print the report as JSON (exits with 1 when a clip is unreadable)')
+  .action(inspectOpts => {
+    try {
+      inspect(inspectOpts);
+    } catch (e) {
+      if (!(e instanceof AdblitzError)) throw e;
+      printError(e);
       process.exit(1);
     }
-
-    // ── Resolve music ──────────────────────────────────────────────────
-    const musicFiles = getAudioFiles(opts.music);
-    if (opts.musicAll && musicFiles.length === 0) {
-      console.log(warn('  ⚠ --music-all specified but no music provided; ignoring'));
-    }
-
-    // ── Resolve overlays ───────────────────────────────────────────────
-    const overlays = parseOverlays(opts.overlay, opts.overlays);
-
-    // ── Pre-flight ─────────────────────────────────────────────────────
-    if (!opts.dryRun) checkFfmpeg();
-    if (opts.captions && !opts.dryRun) {
-      if (!checkWhisper()) {
-        console.error(err('\n✗ whisper not found. Install: pip install openai-whisper\n'));
-        process.exit(1);
-      }
-    }
-
-    const outDir = path.resolve(opts.output);
-    ensureDir(outDir);
-    if (opts.thumbnails) ensureDir(path.join(outDir, 'thumbnails'));
-
-    // ── Pre-probe audio streams (needed to handle no-audio videos) ────
-    // Collect all unique video file paths and check for audio
-    const audioProbeCache = new Map();
-    if (!opts.dryRun) {
-      const allPaths = new Set();
-      for (const seg of segments) {
-        for (const v of seg.videos) allPaths.add(v.path);
-      }
-      for (const fp of allPaths) {
-        audioProbeCache.set(fp, hasAudioStream(fp));
-      }
-    }
-
-    // ── Build combinations (cartesian product of all segments) ─────────
-    const videoArrays = segments.map(s => s.videos);
-    const cartCombos = cartesian(videoArrays);
-
-    // Attach labels to each combo
-    let combos = cartCombos.map(videos => ({
-      parts: videos.map((v, i) => ({ label: segments[i].label, video: v }))
-    }));
-
-    // ── Warn about large combo counts ──────────────────────────────────
-    if (combos.length > 5000) {
-      console.log(warn(`\n  ⚠ ${combos.length} base combinations — this may take a very long time and use significant disk space.\n`));
-    }
-
-    // ── Multiply by overlays if any ────────────────────────────────────
-    if (overlays.length > 0) {
-      const expanded = [];
-      for (const combo of combos) {
-        for (const text of overlays) {
-          expanded.push({ ...combo, overlayText: text });
-        }
-      }
-      combos = expanded;
-    }
-
-    // ── Multiply by music if --music-all ───────────────────────────────
-    if (musicFiles.length > 0 && opts.musicAll) {
-      const expanded = [];
-      for (const combo of combos) {
-        for (const track of musicFiles) {
-          expanded.push({ ...combo, music: track });
-        }
-      }
-      combos = expanded;
-    } else if (musicFiles.length > 0) {
-      // Assign round-robin track to each combo
-      combos = combos.map((combo, i) => ({
-        ...combo,
-        music: musicFiles[i % musicFiles.length]
-      }));
-    }
-
-    // ── Generate names (with dedup) ────────────────────────────────────
-    const defaultNaming = segments.map(s => `{${s.label}}`).join('_');
-    const namingTemplate = opts.naming || defaultNaming;
-
-    const usedNames = new Set();
-    combos = combos.map((combo, i) => {
-      let name = applyNaming(namingTemplate, combo.parts, i);
-      // Append overlay text hint if present
-      if (combo.overlayText) {
-        const slug = combo.overlayText.replace(/[^a-zA-Z0-9]+/g, '-').substring(0, 30);
-        name += `_${slug}`;
-      }
-      // Append music name if --music-all
-      if (combo.music && opts.musicAll) {
-        name += `_${combo.music.name}`;
-      }
-      // Sanitize the filename
-      name = sanitizeFilename(name);
-      // Deduplicate names
-      let finalName = name;
-      let counter = 1;
-      while (usedNames.has(finalName.toLowerCase())) {
-        finalName = `${name}_${counter}`;
-        counter++;
-      }
-      usedNames.add(finalName.toLowerCase());
-      return { ...combo, name: finalName + '.mp4' };
-    });
-
-    // ── Print summary ──────────────────────────────────────────────────
-    for (const seg of segments) {
-      console.log(`  ${seg.label}: ${ok(seg.videos.length)} files`);
-    }
-    if (overlays.length) console.log(`  Overlays: ${ok(overlays.length)} variations`);
-    if (musicFiles.length) console.log(`  Music: ${ok(musicFiles.length)} track(s)${opts.musicAll ? ' (multiplied)' : ''}`);
-    console.log(`  Output: ${bold(combos.length + ' combinations')} → ${outDir}`);
-    console.log(`  Size: ${w}×${h}  Naming: ${dim(namingTemplate)}\n`);
-
-    // ── Dry run ────────────────────────────────────────────────────────
-    if (opts.dryRun) {
-      console.log(warn('  📋 Dry run — these files would be generated:\n'));
-      combos.forEach((c, i) => {
-        const extra = [];
-        if (c.overlayText) extra.push(`overlay: "${c.overlayText}"`);
-        if (c.music) extra.push(`music: ${c.music.name}`);
-        const suffix = extra.length ? dim(` (${extra.join(', ')})`) : '';
-        console.log(dim(`  ${String(i + 1).padStart(4)}. `) + c.name + suffix);
-      });
-      console.log(ok(`\n  ✓ ${combos.length} video(s) would be created.`));
-      if (opts.thumbnails) console.log(ok(`  ✓ ${combos.length} thumbnail(s) would be created.`));
-      console.log(dim(`\n  Remove --dry-run to actually generate the videos.\n`));
-      return;
-    }
-
-    // ── Render ─────────────────────────────────────────────────────────
-    const bar = new cliProgress.SingleBar({
-      format: '  Progress |' + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} | {current}',
-      barCompleteChar: '█',
-      barIncompleteChar: '░',
-      hideCursor: true,
-    });
-    bar.start(combos.length, 0, { current: '' });
-
-    let success = 0;
-    let failed = 0;
-    const errors = [];
-
-    const tasks = combos.map((combo, i) => async () => {
-      const outPath = path.join(outDir, combo.name);
-
-      // Build the ffmpeg filter for concatenation
-      const parts = combo.parts;
-      const n = parts.length;
-      const inputArgs = parts.map(p => `-i ${shellEscape(p.video.path)}`);
-      let extraInputIdx = n;
-
-      // Check which inputs have audio
-      const inputHasAudio = parts.map(p => audioProbeCache.get(p.video.path) || false);
-      // We need audio for concat — generate silence for inputs without audio
-      const anyHasAudio = inputHasAudio.some(Boolean) || (combo.music != null);
-
-      // Music input
-      let musicInputIdx = -1;
-      if (combo.music) {
-        inputArgs.push(`-i ${shellEscape(combo.music.path)}`);
-        musicInputIdx = extraInputIdx++;
-      }
-
-      const filterParts = [];
-      const concatInputs = [];
-
-      for (let idx = 0; idx < n; idx++) {
-        const trim = trimMap[parts[idx].label];
-
-        // Scale + pad (force even dimensions with ceil/2*2)
-        filterParts.push(
-          `[${idx}:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:black,setsar=1,fps=30[vs${idx}]`
-        );
-
-        // Audio: use real audio or generate silence
-        if (inputHasAudio[idx]) {
-          filterParts.push(
-            `[${idx}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo[as${idx}]`
-          );
-        } else {
-          // Generate silent audio matching the video duration
-          filterParts.push(
-            `anullsrc=channel_layout=stereo:sample_rate=44100[silence${idx}];[${idx}:v]null[_vdur${idx}];[silence${idx}]aresample=44100[as${idx}]`
-          );
-          // We'll trim the silence to match video duration below via concat
-        }
-
-        let vLabel = `vs${idx}`;
-        let aLabel = `as${idx}`;
-
-        // Apply trim if specified
-        if (trim) {
-          if (trim.mode === 'last') {
-            const dur = getVideoDuration(parts[idx].video.path);
-            if (dur && dur > trim.seconds) {
-              const ss = Math.max(0, dur - trim.seconds);
-              filterParts.push(`[vs${idx}]trim=start=${ss},setpts=PTS-STARTPTS[vt${idx}]`);
-              filterParts.push(`[as${idx}]atrim=start=${ss},asetpts=PTS-STARTPTS[at${idx}]`);
-              vLabel = `vt${idx}`;
-              aLabel = `at${idx}`;
-            }
-            // If dur <= trim.seconds, use the full clip (no trim needed)
-          } else {
-            filterParts.push(`[vs${idx}]trim=start=${trim.start}:duration=${trim.duration},setpts=PTS-STARTPTS[vt${idx}]`);
-            filterParts.push(`[as${idx}]atrim=start=${trim.start}:duration=${trim.duration},asetpts=PTS-STARTPTS[at${idx}]`);
-            vLabel = `vt${idx}`;
-            aLabel = `at${idx}`;
-          }
-        }
-
-        concatInputs.push(`[${vLabel}][${aLabel}]`);
-      }
-
-      // For inputs without audio where we generated anullsrc, we need a different approach.
-      // The anullsrc generates infinite silence, so concat's duration=first will handle it.
-      // But the filter above for no-audio inputs is wrong — anullsrc doesn't reference input streams properly.
-      // Let's fix this: we rebuild the filter more carefully.
-
-      // Actually, let me simplify the no-audio handling. We'll use a cleaner approach:
-      // For each input without audio, we add `-f lavfi -i anullsrc=cl=stereo:r=44100` as an extra input.
-      // But that changes input indices... Let's instead use the filter_complex approach properly.
-
-      // The approach above with anullsrc in filter_complex is actually fine, but needs to be
-      // duration-limited. Let's use aevalsrc instead which is simpler in filter_complex.
-      // Actually the simplest: just don't output audio if no inputs have audio and no music.
-
-      if (!anyHasAudio) {
-        // No audio anywhere — produce video-only output
-        // Rebuild without audio
-        const filterPartsNoAudio = [];
-        const concatInputsNoAudio = [];
-
-        for (let idx = 0; idx < n; idx++) {
-          const trim = trimMap[parts[idx].label];
-          filterPartsNoAudio.push(
-            `[${idx}:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:black,setsar=1,fps=30[vs${idx}]`
-          );
-
-          let vLabel = `vs${idx}`;
-          if (trim) {
-            if (trim.mode === 'last') {
-              const dur = getVideoDuration(parts[idx].video.path);
-              if (dur && dur > trim.seconds) {
-                const ss = Math.max(0, dur - trim.seconds);
-                filterPartsNoAudio.push(`[vs${idx}]trim=start=${ss},setpts=PTS-STARTPTS[vt${idx}]`);
-                vLabel = `vt${idx}`;
-              }
-            } else {
-              filterPartsNoAudio.push(`[vs${idx}]trim=start=${trim.start}:duration=${trim.duration},setpts=PTS-STARTPTS[vt${idx}]`);
-              vLabel = `vt${idx}`;
-            }
-          }
-          concatInputsNoAudio.push(`[${vLabel}]`);
-        }
-
-        filterPartsNoAudio.push(`${concatInputsNoAudio.join('')}concat=n=${n}:v=1:a=0[concatv]`);
-
-        // Overlay text
-        let finalV = 'concatv';
-        if (combo.overlayText) {
-          const pos = opts.overlayPos || 'bottom';
-          const size = opts.overlaySize || '48';
-          const color = opts.overlayColor || 'white';
-          let yExpr;
-          if (pos === 'top') yExpr = 'h*0.08';
-          else if (pos === 'center') yExpr = '(h-text_h)/2';
-          else yExpr = 'h*0.85';
-          const escapedText = combo.overlayText.replace(/'/g, "'\\''").replace(/:/g, '\\:').replace(/\\/g, '\\\\');
-          filterPartsNoAudio.push(
-            `[concatv]drawtext=text='${escapedText}':fontsize=${size}:fontcolor=${color}:x=(w-text_w)/2:y=${yExpr}:borderw=2:bordercolor=black[overlayv]`
-          );
-          finalV = 'overlayv';
-        }
-
-        const filterComplex = filterPartsNoAudio.join(';');
-        const inputArgsNoMusic = parts.map(p => `-i ${shellEscape(p.video.path)}`);
-        const cmd = `ffmpeg -y ${inputArgsNoMusic.join(' ')} -filter_complex "${filterComplex}" -map "[${finalV}]" -c:v libx264 -preset ${opts.preset} -crf 23 -movflags +faststart ${shellEscape(outPath)} 2>&1`;
-
-        await runFfmpeg(cmd);
-      } else {
-        // Has audio — need to handle mixed audio/no-audio inputs
-        // For inputs without audio, generate silence using anullsrc as a lavfi input
-        // We'll add extra inputs for silence generators
-        const rebuiltInputArgs = [];
-        const silenceInputMap = {}; // idx -> new input index for silence
-        let currentInputIdx = 0;
-
-        for (let idx = 0; idx < n; idx++) {
-          rebuiltInputArgs.push(`-i ${shellEscape(parts[idx].video.path)}`);
-          currentInputIdx++;
-        }
-        if (combo.music) {
-          rebuiltInputArgs.push(`-i ${shellEscape(combo.music.path)}`);
-          musicInputIdx = currentInputIdx++;
-        }
-
-        // Add silence inputs for videos without audio
-        for (let idx = 0; idx < n; idx++) {
-          if (!inputHasAudio[idx]) {
-            rebuiltInputArgs.push(`-f lavfi -i anullsrc=channel_layout=stereo:sample_rate=44100`);
-            silenceInputMap[idx] = currentInputIdx++;
-          }
-        }
-
-        const fp = [];
-        const ci = [];
-
-        for (let idx = 0; idx < n; idx++) {
-          const trim = trimMap[parts[idx].label];
-
-          fp.push(
-            `[${idx}:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:black,setsar=1,fps=30[vs${idx}]`
-          );
-
-          // Audio source
-          let audioInputRef;
-          if (inputHasAudio[idx]) {
-            audioInputRef = `${idx}:a`;
-          } else {
-            audioInputRef = `${silenceInputMap[idx]}:a`;
-          }
-          fp.push(
-            `[${audioInputRef}]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo[as${idx}]`
-          );
-
-          let vLabel = `vs${idx}`;
-          let aLabel = `as${idx}`;
-
-          if (trim) {
-            if (trim.mode === 'last') {
-              const dur = getVideoDuration(parts[idx].video.path);
-              if (dur && dur > trim.seconds) {
-                const ss = Math.max(0, dur - trim.seconds);
-                fp.push(`[vs${idx}]trim=start=${ss},setpts=PTS-STARTPTS[vt${idx}]`);
-                fp.push(`[as${idx}]atrim=start=${ss},asetpts=PTS-STARTPTS[at${idx}]`);
-                vLabel = `vt${idx}`;
-                aLabel = `at${idx}`;
-              }
-            } else {
-              fp.push(`[vs${idx}]trim=start=${trim.start}:duration=${trim.duration},setpts=PTS-STARTPTS[vt${idx}]`);
-              fp.push(`[as${idx}]atrim=start=${trim.start}:duration=${trim.duration},asetpts=PTS-STARTPTS[at${idx}]`);
-              vLabel = `vt${idx}`;
-              aLabel = `at${idx}`;
-            }
-          }
-
-          ci.push(`[${vLabel}][${aLabel}]`);
-        }
-
-        fp.push(`${ci.join('')}concat=n=${n}:v=1:a=1[concatv][concata]`);
-
-        // Overlay text
-        let finalV = 'concatv';
-        if (combo.overlayText) {
-          const pos = opts.overlayPos || 'bottom';
-          const size = opts.overlaySize || '48';
-          const color = opts.overlayColor || 'white';
-          let yExpr;
-          if (pos === 'top') yExpr = 'h*0.08';
-          else if (pos === 'center') yExpr = '(h-text_h)/2';
-          else yExpr = 'h*0.85';
-          // Escape for ffmpeg drawtext: backslashes, colons, and single quotes
-          const escapedText = combo.overlayText.replace(/\\/g, '\\\\').replace(/'/g, "'\\''").replace(/:/g, '\\:');
-          fp.push(
-            `[concatv]drawtext=text='${escapedText}':fontsize=${size}:fontcolor=${color}:x=(w-text_w)/2:y=${yExpr}:borderw=2:bordercolor=black[overlayv]`
-          );
-          finalV = 'overlayv';
-        }
-
-        // Music mixing
-        let finalA = 'concata';
-        if (combo.music) {
-          fp.push(
-            `[${musicInputIdx}:a]aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo,volume=0.3[bgm]`
-          );
-          fp.push(
-            `[concata][bgm]amix=inputs=2:duration=first:dropout_transition=2[mixeda]`
-          );
-          finalA = 'mixeda';
-        }
-
-        const filterComplex = fp.join(';');
-        const cmd = `ffmpeg -y ${rebuiltInputArgs.join(' ')} -filter_complex "${filterComplex}" -map "[${finalV}]" -map "[${finalA}]" -c:v libx264 -preset ${opts.preset} -crf 23 -c:a aac -b:a 128k -movflags +faststart ${shellEscape(outPath)} 2>&1`;
-
-        await runFfmpeg(cmd);
-      }
-
-      // ── Captions (post-process) ────────────────────────────────────
-      if (opts.captions) {
-        const captionedPath = outPath.replace(/\.mp4$/, '_captioned.mp4');
-        try {
-          execSync(`whisper ${shellEscape(outPath)} --output_format srt --output_dir ${shellEscape(outDir)} 2>&1`, {
-            encoding: 'utf-8',
-            timeout: 300000  // 5 min timeout for whisper
-          });
-          // Find the generated srt (whisper names it after the input)
-          const baseSrt = path.join(outDir, path.parse(combo.name).name + '.srt');
-          if (fs.existsSync(baseSrt)) {
-            const escapedSrt = baseSrt.replace(/\\/g, '\\\\').replace(/'/g, "'\\''").replace(/:/g, '\\:');
-            await runFfmpeg(
-              `ffmpeg -y -i ${shellEscape(outPath)} -vf "subtitles='${escapedSrt}':force_style='FontSize=20,PrimaryColour=&H00FFFFFF,OutlineColour=&H00000000,Outline=2'" -c:a copy ${shellEscape(captionedPath)} 2>&1`
-            );
-            fs.renameSync(captionedPath, outPath);
-            // Clean up srt
-            try { fs.unlinkSync(baseSrt); } catch {}
-          }
-        } catch (e) {
-          // Captions failed, keep the video without them
-          // Clean up temp files if they exist
-          try { if (fs.existsSync(captionedPath)) fs.unlinkSync(captionedPath); } catch {}
-        }
-      }
-
-      // ── Thumbnail ──────────────────────────────────────────────────
-      if (opts.thumbnails) {
-        const thumbPath = path.join(outDir, 'thumbnails', combo.name.replace(/\.mp4$/, '.jpg'));
-        const thumbTime = opts.thumbTime || '0';
-        try {
-          await runFfmpeg(`ffmpeg -y -i ${shellEscape(outPath)} -ss ${parseFloat(thumbTime)} -frames:v 1 -q:v 2 ${shellEscape(thumbPath)} 2>&1`);
-        } catch {}
-      }
-
-      return combo.name;
-    });
-
-    // Run with concurrency limit
-    const results = await runWithConcurrency(tasks, MAX_CONCURRENCY, (completed, idx, result) => {
-      if (result.ok) success++;
-      else {
-        failed++;
-        errors.push({
-          name: combos[idx].name,
-          error: result.error.message.split('\n').slice(-3).join(' ').substring(0, 200)
-        });
-      }
-      bar.update(completed, { current: combos[completed - 1]?.name?.substring(0, 50) || 'Processing...' });
-    });
-
-    bar.update(combos.length, { current: 'Done!' });
-    bar.stop();
-
-    // ── Results ────────────────────────────────────────────────────────
-    console.log('');
-    if (success > 0) console.log(ok(`  ✓ ${success} video(s) generated successfully!`));
-    if (opts.thumbnails && success > 0) console.log(ok(`  ✓ Thumbnails saved to ${path.join(outDir, 'thumbnails')}`));
-    if (failed > 0) {
-      console.log(err(`  ✗ ${failed} failed:`));
-      errors.forEach(e => console.log(err(`    • ${e.name}: ${e.error}`)));
-    }
-    console.log(dim('\n  ─────────────────────────────────────────────'));
-    console.log(ok(`\n  📁 Your files are in ${outDir}\n`));
   });
 
 program.parse();
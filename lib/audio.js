@@ -0,0 +1,123 @@
+const { runFfmpeg } = require('./ffmpeg');
+const { ValidationError } = require('./errors');
+
+// Music volume relative to the clips' own audio
+const DEFAULT_MUSIC_VOLUME = 0.3;
+
+// Sidechain settings for --duck: dip the music hard while anyone is talking,
+// come back up gently once they stop
+const DUCK_FILTER = 'sidechaincompress=threshold=0.03:ratio=8:attack=20:release=400';
+
+// Integrated loudness targets (LUFS) the platforms normalize playback to
+const LOUDNESS_PRESETS = {
+  tiktok: -14,
+  meta: -14,
+  youtube: -14,
+  broadcast: -23,
+};
+
+// Peak ceiling and loudness range handed to loudnorm alongside the target
+const LOUDNESS_TRUE_PEAK = -1;
+const LOUDNESS_RANGE = 11;
+
+/**
+ * Parse --loudness: a LUFS number (e.g. -14) or a platform preset name.
+ * Returns { target, truePeak, range } or null when not set.
+ */
+function parseLoudness(spec) {
+  if (spec == null || spec === '') return null;
+  const key = String(spec).trim().toLowerCase();
+  const target = key in LOUDNESS_PRESETS ? LOUDNESS_PRESETS[key] : Number(key);
+  if (!Number.isFinite(target) || target < -70 || target > -5) {
+    throw new ValidationError(`Invalid --loudness: "${spec}"`, {
+      hint: `Use a LUFS target between -70 and -5 (e.g. -14) or a preset: ${Object.keys(LOUDNESS_PRESETS).join(', ')}`,
+    });
+  }
+  return { target, truePeak: LOUDNESS_TRUE_PEAK, range: LOUDNESS_RANGE };
+}
+
+/**
+ * loudnorm filter for a target. With a measurement from measureLoudness it
+ * runs as the second, linear pass so the clip is gained rather than
+ * dynamically compressed.
+ */
+function loudnormFilter(loudness, measured) {
+  const args = [`I=${loudness.target}`, `TP=${loudness.truePeak}`, `LRA=${loudness.range}`];
+  if (measured) {
+    args.push(
+      `measured_I=${measured.i}`,
+      `measured_TP=${measured.tp}`,
+      `measured_LRA=${measured.lra}`,
+      `measured_thresh=${measured.thresh}`,
+      'linear=true',
+    );
+  }
+  return `loudnorm=${args.join(':')}`;
+}
+
+/**
+ * Measure the first audio stream of `inputArgs` (ffmpeg input arguments,
+ * seeking included) with loudnorm's analysis pass. Returns { i, tp, lra,
+ * thresh } in LUFS/dBTP, or null when the input is silent. Aborting
+ * `signal` stops the measurement; `onLog` is as for runFfmpeg().
+ */
+async function measureLoudness(inputArgs, { signal, onLog } = {}) {
+  const output = await runFfmpeg(
+    `ffmpeg -hide_banner -nostats ${inputArgs} -map 0:a:0 -af loudnorm=print_format=json -f null - 2>&1`,
+    { signal, onLog }
+  );
+  // loudnorm prints its report as the last JSON block on stderr
+  const match = String(output).match(/\{[^{}]*"input_i"[^{}]*\}\s*$/);
+  if (!match) return null;
+  let report;
+  try {
+    report = JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+  const measured = {
+    i: parseFloat(report.input_i),
+    tp: parseFloat(report.input_tp),
+    lra: parseFloat(report.input_lra),
+    thresh: parseFloat(report.input_thresh),
+  };
+  return Object.values(measured).every(Number.isFinite) ? measured : null;
+}
+
+/**
+ * Filters that mix a combo's music under its segment audio: volume, fades
+ * and optional ducking under speech. `length` is the combo's length in
+ * seconds, needed to place the fade-out. Returns the mixed audio label.
+ */
+function musicFilters(musicInput, voice, mix, length, sampleRate = 44100) {
+  const bgm = [
+    `aresample=${sampleRate}`,
+    'aformat=sample_fmts=fltp:channel_layouts=stereo',
+    `volume=${mix.volume}`,
+  ];
+  if (mix.fadeIn) bgm.push(`afade=t=in:st=0:d=${mix.fadeIn}`);
+  if (mix.fadeOut && length) {
+    const fadeOut = Math.min(mix.fadeOut, length);
+    bgm.push(`afade=t=out:st=${Math.round((length - fadeOut) * 1000) / 1000}:d=${fadeOut}`);
+  }
+
+  const filters = [`[${musicInput}]${bgm.join(',')}[bgm]`];
+  if (mix.duck) {
+    // The segment audio both drives the compressor and goes into the mix
+    filters.push(`${voice}asplit=2[voice][sidechain]`);
+    filters.push(`[bgm][sidechain]${DUCK_FILTER}[ducked]`);
+    filters.push('[voice][ducked]amix=inputs=2:duration=first:dropout_transition=2[mixeda]');
+  } else {
+    filters.push(`${voice}[bgm]amix=inputs=2:duration=first:dropout_transition=2[mixeda]`);
+  }
+  return { filters, output: '[mixeda]' };
+}
+
+module.exports = {
+  DEFAULT_MUSIC_VOLUME,
+  LOUDNESS_PRESETS,
+  parseLoudness,
+  loudnormFilter,
+  measureLoudness,
+  musicFilters,
+};
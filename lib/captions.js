@@ -0,0 +1,368 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { shellEscape, fileSignature } = require('./util');
+const { getVideoDuration, runFfmpeg, runWhisper } = require('./ffmpeg');
+const { trimSeekArgs } = require('./clips');
+const { escapeDrawtext } = require('./overlays');
+const { ValidationError } = require('./errors');
+
+// Bump when the cached caption format changes so older transcripts aren't reused
+const CAPTIONS_VERSION = 2;
+
+const CAPTION_MODES = ['burn', 'sidecar', 'both'];
+const CAPTION_POSITIONS = ['top', 'center', 'bottom'];
+
+// What clips without their own .srt/.vtt get
+const CAPTION_FALLBACKS = ['whisper', 'none'];
+
+// Looks for burned captions. Sizes, outlines and margins are shares of the
+// frame height, so a style looks the same at every output size.
+const CAPTION_STYLES = {
+  // The original look: white text with a thin black outline
+  classic: { size: 0.07, bold: false, outline: 0.007, box: false, position: 'bottom', margin: 0.035, highlight: 'yellow' },
+  // Big, bold and centered, as in creator videos
+  tiktok: { size: 0.085, bold: true, outline: 0.012, box: false, position: 'center', margin: 0.15, highlight: 'yellow' },
+  // White text on a translucent black box
+  boxed: { size: 0.055, bold: false, outline: 0.01, box: true, position: 'bottom', margin: 0.15, highlight: 'cyan' },
+  // Small and unobtrusive
+  minimal: { size: 0.045, bold: false, outline: 0.004, box: false, position: 'bottom', margin: 0.15, highlight: 'yellow' },
+};
+
+const CAPTION_FONT = 'Arial';
+
+const COLOR_NAMES = {
+  white: 'FFFFFF', black: '000000', yellow: 'FFFF00', green: '00FF00', cyan: '00FFFF',
+  red: 'FF0000', orange: 'FFA500', pink: 'FF69B4', purple: '8A2BE2', blue: '0000FF',
+};
+
+/**
+ * ASS colour (&HAABBGGRR) for a colour name or #RRGGBB hex. `alpha` is the
+ * transparency from 0 (solid) to 255.
+ */
+function assColor(color, alpha = 0) {
+  const hex = COLOR_NAMES[String(color).toLowerCase()] || String(color).replace(/^#/, '');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new ValidationError(`Unknown caption color: "${color}"`, {
+      hint: `Use #RRGGBB or one of: ${Object.keys(COLOR_NAMES).join(', ')}`,
+    });
+  }
+  const byte = n => n.toString(16).padStart(2, '0').toUpperCase();
+  return `&H${byte(alpha)}${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase();
+}
+
+/**
+ * Validate the caption options into { style, position, maxWords, karaoke,
+ * highlight, mode, fallback }.
+ */
+function parseCaptionOptions(opts) {
+  const preset = CAPTION_STYLES[opts.captionStyle];
+  if (!preset) {
+    throw new ValidationError(`--caption-style must be one of: ${Object.keys(CAPTION_STYLES).join(', ')}, got: ${opts.captionStyle}`);
+  }
+  const position = opts.captionPosition || preset.position;
+  if (!CAPTION_POSITIONS.includes(position)) {
+    throw new ValidationError(`--caption-position must be one of: ${CAPTION_POSITIONS.join(', ')}, got: ${position}`);
+  }
+  let maxWords = null;
+  if (opts.captionWords !== undefined) {
+    maxWords = Number(opts.captionWords);
+    if (!Number.isInteger(maxWords) || maxWords <= 0) {
+      throw new ValidationError(`--caption-words must be a positive whole number, got: ${opts.captionWords}`);
+    }
+  }
+  if (!CAPTION_MODES.includes(opts.captionsMode)) {
+    throw new ValidationError(`--captions-mode must be one of: ${CAPTION_MODES.join(', ')}, got: ${opts.captionsMode}`);
+  }
+  if (!CAPTION_FALLBACKS.includes(opts.captionsFallback)) {
+    throw new ValidationError(`--captions-fallback must be one of: ${CAPTION_FALLBACKS.join(', ')}, got: ${opts.captionsFallback}`);
+  }
+  const highlight = opts.captionHighlight || preset.highlight;
+  assColor(highlight);
+  return {
+    style: opts.captionStyle,
+    position,
+    maxWords,
+    karaoke: !!opts.karaoke,
+    highlight,
+    mode: opts.captionsMode,
+    fallback: opts.captionsFallback,
+  };
+}
+
+/**
+ * Cache path for a source clip's captions. Like the loudness measurement,
+ * it depends only on the clip and its trim.
+ */
+function captionsPath(cacheDir, video, trim) {
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify({ v: CAPTIONS_VERSION, path: video.path, ...fileSignature(video.path), trim: trim || null }))
+    .digest('hex');
+  return path.join(cacheDir, `${key}.captions.json`);
+}
+
+/**
+ * Turn whisper's JSON output into cues: [{ start, end, text, words }] in
+ * seconds, with per-word timings when whisper produced them.
+ */
+function parseWhisperJson(text) {
+  const data = JSON.parse(text);
+  return (data.segments || [])
+    .map(seg => ({
+      start: Number(seg.start),
+      end: Number(seg.end),
+      text: String(seg.text || '').trim(),
+      words: (seg.words || [])
+        .map(w => ({ text: String(w.word || '').trim(), start: Number(w.start), end: Number(w.end) }))
+        .filter(w => w.text),
+    }))
+    .filter(cue => cue.text && cue.end > cue.start);
+}
+
+/**
+ * Captions for a source clip as trimmed, timed from the start of the trim.
+ * Transcribed with whisper once and cached next to the intermediates;
+ * clips without sound have none. Rejects when whisper fails or `signal` is
+ * aborted, and nothing is cached then, so the next run tries again.
+ */
+async function transcribeClip(cacheDir, video, trim, { hasAudio, signal }) {
+  const file = captionsPath(cacheDir, video, trim);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8')).cues;
+  } catch {}
+
+  let cues = [];
+  if (hasAudio) {
+    // whisper names its output after the input, so both share the cache key
+    const audio = file.replace(/\.captions\.json$/, '.wav');
+    const transcript = audio.replace(/\.wav$/, '.json');
+    try {
+      const inputArgs = [...trimSeekArgs(video, trim), `-i ${shellEscape(video.path)}`];
+      await runFfmpeg(`ffmpeg -y ${inputArgs.join(' ')} -vn -ac 1 -ar 16000 ${shellEscape(audio)} 2>&1`, { signal });
+      await runWhisper(audio, cacheDir, { signal });
+      cues = parseWhisperJson(fs.readFileSync(transcript, 'utf-8'));
+    } finally {
+      for (const f of [audio, transcript]) try { fs.unlinkSync(f); } catch {}
+    }
+  }
+  fs.writeFileSync(file, JSON.stringify({ cues }));
+  return cues;
+}
+
+const CUE_TIME_RE = /((?:\d+:)?\d{1,2}:\d{2}[,.]\d{3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{3})/;
+
+function cueSeconds(stamp) {
+  const parts = stamp.replace(',', '.').split(':').map(Number);
+  return parts.reduce((total, n) => total * 60 + n, 0);
+}
+
+/**
+ * Parse SRT or WebVTT text into cues. Cue numbers, VTT headers, notes and
+ * cue settings are skipped, and formatting tags like <i> are dropped.
+ */
+function parseSubtitles(text) {
+  const cues = [];
+  for (const block of text.replace(/^\uFEFF/, '').replace(/\r/g, '').split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const timeIdx = lines.findIndex(line => CUE_TIME_RE.test(line));
+    if (timeIdx === -1) continue;
+    const [, from, to] = lines[timeIdx].match(CUE_TIME_RE);
+    const cueText = lines.slice(timeIdx + 1).join('\n').replace(/<[^>]+>/g, '').trim();
+    const start = cueSeconds(from);
+    const end = cueSeconds(to);
+    if (cueText && end > start) cues.push({ start, end, text: cueText, words: [] });
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Captions from the subtitle file shipped with a clip, cut to the clip's
+ * trim and timed from the start of the trim.
+ */
+function clipSubtitles(video, trim) {
+  const name = path.basename(video.subtitles);
+  let cues;
+  try {
+    cues = parseSubtitles(fs.readFileSync(video.subtitles, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Could not read ${name}: ${e.message}`);
+  }
+  if (!cues.length) throw new Error(`No subtitles found in ${name}`);
+  if (!trim) return cues;
+
+  let from = 0;
+  let to = Infinity;
+  if (trim.mode === 'last') {
+    const dur = getVideoDuration(video.path);
+    if (dur && dur > trim.seconds) from = dur - trim.seconds;
+  } else {
+    from = trim.start;
+    to = trim.start + trim.duration;
+  }
+  return cues
+    .filter(cue => cue.end > from && cue.start < to)
+    .map(cue => ({ ...cue, start: Math.max(0, cue.start - from), end: Math.min(to, cue.end) - from }));
+}
+
+/**
+ * Place each part's cues on the combo's timeline. `times` comes from
+ * segmentTimes(); cues are shifted to their segment's start and cut off
+ * where the segment ends.
+ */
+function comboCues(partCues, times) {
+  const cues = [];
+  partCues.forEach((list, i) => {
+    const { start, end } = times[i];
+    for (const cue of list) {
+      const from = start + cue.start;
+      const to = Math.min(end, start + cue.end);
+      if (to <= from) continue;
+      const words = (cue.words || [])
+        .map(w => ({ ...w, start: start + w.start, end: Math.min(to, start + w.end) }))
+        .filter(w => w.start < to);
+      cues.push({ ...cue, start: from, end: to, words });
+    }
+  });
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * A cue's words with timings. Cues without word timings (e.g. hand-made
+ * subtitles) get their time shared out by word length.
+ */
+function cueWords(cue) {
+  if (cue.words && cue.words.length) return cue.words;
+  const words = cue.text.split(/\s+/).filter(Boolean);
+  const chars = words.reduce((n, w) => n + w.length, 0) || 1;
+  let t = cue.start;
+  return words.map(text => {
+    const word = { text, start: t, end: t + ((cue.end - cue.start) * text.length) / chars };
+    t = word.end;
+    return word;
+  });
+}
+
+/**
+ * Break cues into ones of at most `maxWords` words, each shown while its
+ * words are spoken.
+ */
+function splitCues(cues, maxWords) {
+  if (!maxWords) return cues;
+  return cues.flatMap(cue => {
+    const words = cueWords(cue);
+    if (words.length <= maxWords) return [cue];
+    const chunks = [];
+    for (let i = 0; i < words.length; i += maxWords) {
+      const group = words.slice(i, i + maxWords);
+      chunks.push({
+        start: i === 0 ? cue.start : group[0].start,
+        end: i + maxWords < words.length ? words[i + maxWords].start : cue.end,
+        text: group.map(w => w.text).join(' '),
+        words: group,
+      });
+    }
+    return chunks;
+  });
+}
+
+function srtTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)},${pad(ms % 1000, 3)}`;
+}
+
+function formatSrt(cues) {
+  return cues.map((cue, i) => `${i + 1}\n${srtTime(cue.start)} --> ${srtTime(cue.end)}\n${cue.text}\n`).join('\n');
+}
+
+function formatVtt(cues) {
+  const vttTime = seconds => srtTime(seconds).replace(',', '.');
+  return ['WEBVTT\n', ...cues.map(cue => `${vttTime(cue.start)} --> ${vttTime(cue.end)}\n${cue.text}\n`)].join('\n');
+}
+
+function assTime(seconds) {
+  const cs = Math.round(seconds * 100);
+  const pad = n => String(n).padStart(2, '0');
+  return `${Math.floor(cs / 360000)}:${pad(Math.floor(cs / 6000) % 60)}:${pad(Math.floor(cs / 100) % 60)}.${pad(cs % 100)}`;
+}
+
+// ASS treats braces as override tags and backslashes as escapes
+const assText = text => text.replace(/[{}]/g, c => (c === '{' ? '(' : ')')).replace(/\\/g, '/').replace(/\n/g, '\\N');
+
+/**
+ * An ASS subtitle script drawing the cues in a caption style, sized for
+ * `format`. With karaoke, each word lights up in the highlight colour as
+ * it is spoken.
+ */
+function formatAss(cues, format, captions) {
+  const preset = CAPTION_STYLES[captions.style];
+  const h = format.height;
+  const px = share => Math.max(1, Math.round(h * share));
+  const alignment = { bottom: 2, center: 5, top: 8 }[captions.position];
+  // Karaoke draws spoken words in the primary colour, the rest in the secondary
+  const primary = captions.karaoke ? assColor(captions.highlight) : assColor('white');
+  const style = [
+    'Default', CAPTION_FONT, px(preset.size), primary, assColor('white'), assColor('black'), assColor('black', 0x60),
+    preset.bold ? -1 : 0, 0, 0, 0, 100, 100, 0, 0,
+    preset.box ? 3 : 1, px(preset.outline), 0, alignment,
+    Math.round(format.width * 0.05), Math.round(format.width * 0.05), captions.position === 'center' ? 0 : px(preset.margin), 1,
+  ];
+  const events = cues.map(cue => {
+    let text = assText(cue.text);
+    if (captions.karaoke) {
+      const words = cueWords(cue);
+      const cs = seconds => Math.max(0, Math.round(seconds * 100));
+      const lead = words.length ? cs(words[0].start - cue.start) : 0;
+      text = (lead ? `{\\k${lead}}` : '') + words.map((w, i) => {
+        const next = i + 1 < words.length ? words[i + 1].start : cue.end;
+        return `{\\k${cs(next - w.start)}}${assText(w.text)}`;
+      }).join(' ');
+    }
+    return `Dialogue: 0,${assTime(cue.start)},${assTime(cue.end)},Default,,0,0,0,,${text}`;
+  });
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${format.width}`,
+    `PlayResY: ${h}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: ${style.join(',')}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Build the subtitles filter that burns a subtitle script into the video.
+ */
+function subtitlesFilter(file) {
+  return `subtitles='${escapeDrawtext(file)}'`;
+}
+
+module.exports = {
+  CAPTIONS_VERSION,
+  CAPTION_MODES,
+  CAPTION_POSITIONS,
+  CAPTION_FALLBACKS,
+  CAPTION_STYLES,
+  assColor,
+  parseCaptionOptions,
+  captionsPath,
+  parseWhisperJson,
+  transcribeClip,
+  parseSubtitles,
+  clipSubtitles,
+  comboCues,
+  splitCues,
+  formatSrt,
+  formatVtt,
+  formatAss,
+  subtitlesFilter,
+};
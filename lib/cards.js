@@ -0,0 +1,95 @@
+const path = require('path');
+const fs = require('fs');
+const { isPlainObject } = require('./util');
+const { LAYER_DEFAULTS, resolveFont, textLayerFilters } = require('./overlays');
+const { ConfigError } = require('./errors');
+
+// A text card template in a segment folder, e.g. ctas/spring-sale.card.json
+const CARD_EXT = '.card.json';
+
+// Values for keys left out of a card template
+const CARD_DEFAULTS = {
+  background: 'black',
+  color: 'white',
+  font: null,
+  size: 72,
+  lineSpacing: 1.25,
+  duration: null,
+};
+
+// A color name, or hex with an optional alpha byte
+const COLOR_RE = /^([a-z]+|(#|0x)[0-9a-f]{6}([0-9a-f]{2})?)$/i;
+
+/**
+ * Read a text card template: a solid background with centered lines of
+ * text. Font paths are relative to the template. Throws ConfigError naming
+ * the bad key.
+ */
+function parseCard(file) {
+  const rel = path.relative(process.cwd(), file) || file;
+  const fail = (msg) => {
+    throw new ConfigError(`Invalid card ${rel}: ${msg}`, { file });
+  };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    fail(e.message);
+  }
+  if (!isPlainObject(raw)) fail('must be a JSON object');
+
+  const card = { ...CARD_DEFAULTS };
+  for (const [key, value] of Object.entries(raw)) {
+    if (key !== 'lines' && !(key in CARD_DEFAULTS)) fail(`unknown key "${key}"`);
+    card[key] = value;
+  }
+  const bad = (key, msg) => fail(`"${key}" ${msg}, got: ${JSON.stringify(card[key])}`);
+  const isNumber = v => typeof v === 'number' && isFinite(v);
+
+  if (typeof card.lines === 'string') card.lines = [card.lines];
+  if (!Array.isArray(card.lines) || !card.lines.length || !card.lines.every(l => typeof l === 'string')) {
+    bad('lines', 'must be a string or a non-empty list of strings');
+  }
+  if (!card.lines.some(l => l.trim())) bad('lines', 'must have some text');
+  for (const key of ['background', 'color']) {
+    if (typeof card[key] !== 'string' || !COLOR_RE.test(card[key])) bad(key, 'must be a color name or #RRGGBB');
+  }
+  if (card.font !== null) {
+    if (typeof card.font !== 'string' || !card.font.trim()) bad('font', 'must be a font file or family name');
+    const font = resolveFont(card.font, path.dirname(file));
+    if (!font) bad('font', 'is not an existing font file');
+    card.font = font;
+  }
+  if (!isNumber(card.size) || card.size <= 0) bad('size', 'must be a positive number');
+  if (!isNumber(card.lineSpacing) || card.lineSpacing < 1) bad('lineSpacing', 'must be 1 or more');
+  if (card.duration !== null && (!isNumber(card.duration) || card.duration <= 0)) {
+    bad('duration', 'must be a positive number of seconds');
+  }
+  return card;
+}
+
+/**
+ * drawtext filters writing a card's lines onto its background, centered
+ * and wrapped to the frame.
+ */
+function cardFilters(card, format) {
+  const layer = {
+    ...LAYER_DEFAULTS,
+    text: card.lines.join('\n'),
+    font: card.font,
+    size: card.size,
+    color: card.color,
+    lineSpacing: card.lineSpacing,
+    border: 0,
+    anchor: 'center',
+  };
+  return textLayerFilters([layer], { format, labels: [], times: [], overlayText: null });
+}
+
+module.exports = {
+  CARD_EXT,
+  CARD_DEFAULTS,
+  parseCard,
+  cardFilters,
+};
@@ -0,0 +1,208 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { shellEscape, fileSignature, tempPath } = require('./util');
+const { fitFilter } = require('./formats');
+const { getVideoDuration, runFfmpeg } = require('./ffmpeg');
+const { measureLoudness, loudnormFilter } = require('./audio');
+const { trimmedDuration } = require('./sources');
+const { cardFilters } = require('./cards');
+const { CONTAINERS, DEFAULT_ENCODING, videoCodecArgs, audioCodecArgs } = require('./encoding');
+
+// Normalized source clips are cached here and shared by every combo using them
+const CACHE_DIRNAME = '.adblitz-cache';
+
+// Bump when normalizeClip() changes so older intermediates aren't reused
+const NORMALIZE_VERSION = 1;
+
+// How far --ken-burns zooms into an image over the time it shows (0.15 = 15%)
+const KEN_BURNS_ZOOM = 0.15;
+
+/**
+ * Cache path for a source clip as trimmed and normalized for one format.
+ * Changing the clip, its trim, the format, the preset or the loudness
+ * target gives a new file, as does a still's duration or zoom and the
+ * encoding. Intermediates use the output's container.
+ */
+function normalizedClipPath(cacheDir, video, trim, format, { preset, loudness, kenBurns, encoding = DEFAULT_ENCODING }) {
+  // The size budget only shapes the final encode
+  const shared = { ...encoding, maxSize: null };
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify({
+      v: NORMALIZE_VERSION,
+      path: video.path,
+      ...fileSignature(video.path),
+      trim: trim || null,
+      width: format.width,
+      height: format.height,
+      fit: format.fit,
+      focus: format.fit === 'crop' ? format.focus : null,
+      preset,
+      // Left out when unused so existing intermediates stay valid
+      ...(loudness && { loudness }),
+      ...(video.kind !== 'video' && { still: video.duration, zoom: video.kind === 'image' && !!kenBurns }),
+      ...(JSON.stringify(shared) !== JSON.stringify(DEFAULT_ENCODING) && { encoding: shared }),
+    }))
+    .digest('hex');
+  return path.join(cacheDir, `${key}.${encoding.container}`);
+}
+
+/**
+ * Cache path for a source clip's loudness measurement. It depends only on
+ * the clip and its trim, so one measurement serves every format and target.
+ */
+function loudnessPath(cacheDir, video, trim) {
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify({ path: video.path, ...fileSignature(video.path), trim: trim || null }))
+    .digest('hex');
+  return path.join(cacheDir, `${key}.loudness.json`);
+}
+
+/**
+ * Input seeking for a trim: -ss/-t for a range, -ss from the end for "last".
+ */
+function trimSeekArgs(video, trim) {
+  const seek = [];
+  if (trim && trim.mode === 'last') {
+    const dur = getVideoDuration(video.path);
+    // If the clip is already shorter than the trim, use the full clip
+    if (dur && dur > trim.seconds) seek.push(`-ss ${dur - trim.seconds}`);
+  } else if (trim) {
+    seek.push(`-ss ${trim.start}`, `-t ${trim.duration}`);
+  }
+  return seek;
+}
+
+/**
+ * Integrated loudness of a clip as trimmed, measured once and cached next
+ * to the intermediates. Null for clips without sound.
+ */
+async function clipLoudness(cacheDir, video, trim, { signal } = {}) {
+  const file = loudnessPath(cacheDir, video, trim);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8')).measured;
+  } catch {}
+  const measured = await measureLoudness([...trimSeekArgs(video, trim), `-i ${shellEscape(video.path)}`].join(' '), { signal });
+  fs.writeFileSync(file, JSON.stringify({ measured }));
+  return measured;
+}
+
+/**
+ * Video input and filters for a still: a text card drawn on its
+ * background, or an image held (or slowly zoomed into, with `kenBurns`)
+ * for `seconds`.
+ */
+function stillVideo(video, seconds, format, kenBurns, { fps, pixFmt }) {
+  if (video.kind === 'card') {
+    const background = `color=c=${video.card.background}:s=${format.width}x${format.height}:r=${fps}`;
+    return {
+      inputArgs: [`-f lavfi -i ${shellEscape(background)}`],
+      filters: [`[0:v]${[...cardFilters(video.card, format), `format=${pixFmt}`].join(',')}[v]`],
+    };
+  }
+  if (!kenBurns) {
+    return {
+      inputArgs: [`-loop 1 -framerate ${fps} -i ${shellEscape(video.path)}`],
+      filters: [fitFilter('0:v', 'fit', format), `[fit]fps=${fps},format=${pixFmt}[v]`],
+    };
+  }
+  // zoompan turns the single image frame into every output frame
+  const frames = Math.max(1, Math.round(seconds * fps));
+  const zoom = `z='1+${KEN_BURNS_ZOOM}*on/${frames}':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)'`;
+  return {
+    inputArgs: [`-i ${shellEscape(video.path)}`],
+    filters: [
+      fitFilter('0:v', 'fit', format),
+      `[fit]zoompan=${zoom}:d=${frames}:s=${format.width}x${format.height}:fps=${fps},format=${pixFmt}[v]`,
+    ],
+  };
+}
+
+/**
+ * Trim, fit and re-encode one source clip to the shared intermediate
+ * format: the run's `encoding` (H.264 yuv420p at 30fps with 44.1kHz stereo
+ * AAC by default), with silence when the clip has no sound of its own.
+ * Every intermediate has identical codec parameters, so a combo can be
+ * joined with the concat demuxer and stream copy. With a
+ * loudness target and the clip's `measured` loudness, the audio is brought
+ * to the target too. Images and cards become silent clips of their
+ * `duration`. Aborting `signal` stops ffmpeg and leaves nothing behind;
+ * `onProgress` and `onLog` follow the encode (see runFfmpeg()).
+ */
+async function normalizeClip(video, trim, dest, { format, preset, hasAudio, loudness, measured, kenBurns, encoding = DEFAULT_ENCODING, signal, onProgress, onLog }) {
+  const { fps, pixFmt, audioRate } = encoding;
+  let inputArgs;
+  let videoFilters;
+  let length = '';
+  if (video.kind === 'image' || video.kind === 'card') {
+    const seconds = trimmedDuration(video.duration, trim);
+    ({ inputArgs, filters: videoFilters } = stillVideo(video, seconds, format, kenBurns, encoding));
+    length = ` -t ${seconds}`;
+    hasAudio = false;
+  } else {
+    inputArgs = [...trimSeekArgs(video, trim), `-i ${shellEscape(video.path)}`];
+    videoFilters = [fitFilter('0:v', 'fit', format), `[fit]fps=${fps},format=${pixFmt}[v]`];
+  }
+  if (!hasAudio) inputArgs.push(`-f lavfi -i anullsrc=channel_layout=stereo:sample_rate=${audioRate}`);
+
+  const audioChain = [`aresample=${audioRate}`, 'aformat=sample_fmts=fltp:channel_layouts=stereo'];
+  if (hasAudio && loudness && measured) audioChain.unshift(loudnormFilter(loudness, measured));
+
+  const filterComplex = [
+    ...videoFilters,
+    `[${hasAudio ? 0 : 1}:a]${audioChain.join(',')}[a]`,
+  ].join(';');
+
+  // Render to a temp name so an interrupted run never leaves a bad cache entry
+  const tmp = tempPath(dest);
+  // A shared timescale keeps MP4/MOV timestamps exact across the joins
+  const timescale = CONTAINERS[encoding.container].quicktime ? ' -video_track_timescale 90000' : '';
+  try {
+    await runFfmpeg(`ffmpeg -y ${inputArgs.join(' ')} -filter_complex "${filterComplex}" -map "[v]" -map "[a]" -shortest${length} ${videoCodecArgs(preset, encoding)} ${audioCodecArgs(encoding)}${timescale} ${shellEscape(tmp)} 2>&1`, { signal, onProgress, onLog });
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch {}
+    throw e;
+  }
+  fs.renameSync(tmp, dest);
+}
+
+/**
+ * Write a concat demuxer list. The demuxer accepts the same '\'' quoting as
+ * the shell, so shellEscape() covers paths with spaces and quotes.
+ */
+function writeConcatList(file, clipPaths) {
+  fs.writeFileSync(file, clipPaths.map(p => `file ${shellEscape(p)}`).join('\n') + '\n');
+}
+
+/**
+ * Remove cached intermediates (and leftovers from interrupted runs) that
+ * the current plan no longer uses.
+ */
+function pruneClipCache(cacheDir, inUse) {
+  let entries;
+  try {
+    entries = fs.readdirSync(cacheDir);
+  } catch {
+    return;
+  }
+  for (const f of entries) {
+    const fp = path.join(cacheDir, f);
+    if (!inUse.has(fp)) {
+      try { fs.unlinkSync(fp); } catch {}
+    }
+  }
+}
+
+module.exports = {
+  CACHE_DIRNAME,
+  NORMALIZE_VERSION,
+  KEN_BURNS_ZOOM,
+  normalizedClipPath,
+  clipLoudness,
+  loudnessPath,
+  trimSeekArgs,
+  stillVideo,
+  normalizeClip,
+  writeConcatList,
+  pruneClipCache,
+};
@@ -0,0 +1,258 @@
+const path = require('path');
+const fs = require('fs');
+const { isPlainObject } = require('./util');
+const { parseTrim } = require('./sources');
+const { FIT_MODES } = require('./formats');
+const { SAMPLE_DESIGNS } = require('./sampling');
+const { LOUDNESS_PRESETS, parseLoudness } = require('./audio');
+const { LOGO_POSITIONS } = require('./overlays');
+const { PLATFORMS } = require('./platforms');
+const { CODECS, CONTAINERS, parseBitrate, parseSize } = require('./encoding');
+const { parseJobs } = require('./jobs');
+const { CAPTION_FALLBACKS, CAPTION_MODES, CAPTION_POSITIONS, CAPTION_STYLES } = require('./captions');
+const { MAX_STORYBOARD_FRAMES } = require('./storyboard');
+const { ConfigError } = require('./errors');
+
+// Picked up automatically from the working directory when --config isn't given
+const CONFIG_FILENAME = 'adblitz.config.json';
+const CONFIG_VERSION = 1;
+
+const parsesAs = (parse, v) => {
+  try {
+    parse(v);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isPositiveEven = v => (v > 0 && v % 2 === 0) || 'must be a positive even number';
+
+/**
+ * Every key a config file may contain, as a dotted path, and the CLI option
+ * it feeds. `path` values are resolved relative to the config file's folder.
+ */
+const CONFIG_KEYS = {
+  'version':           { type: 'integer' },
+  'segments':          { type: 'segments', opt: 'segments' },
+  'trim':              { type: 'trim', opt: 'trim' },
+  'naming':            { type: 'string', opt: 'naming' },
+  'rules.exclude':     { type: 'string[]', opt: 'exclude' },
+  'rules.require':     { type: 'string[]', opt: 'require' },
+  'sampling.max':      { type: 'integer', opt: 'max', check: v => v > 0 || 'must be positive' },
+  'sampling.seed':     { type: 'integer', opt: 'seed', check: v => v >= 0 || 'must be 0 or more' },
+  'sampling.design':   { type: 'string', opt: 'design', values: SAMPLE_DESIGNS },
+  'stills.duration':   { type: 'number', opt: 'imageDuration', check: v => v > 0 || 'must be positive' },
+  'stills.kenBurns':   { type: 'boolean', opt: 'kenBurns' },
+  'output.dir':        { type: 'path', opt: 'output' },
+  'output.width':      { type: 'integer', opt: 'width', check: isPositiveEven },
+  'output.height':     { type: 'integer', opt: 'height', check: isPositiveEven },
+  'output.formats':    { type: 'string[]', opt: 'formats' },
+  'output.fit':        { type: 'string', opt: 'fit', values: FIT_MODES },
+  'output.focalPoint': { type: 'string', opt: 'focalPoint' },
+  'output.platform':   { type: 'string', opt: 'platform', values: Object.keys(PLATFORMS) },
+  'output.skipViolations': { type: 'boolean', opt: 'skipViolations' },
+  'output.logDir':    { type: 'path', opt: 'logDir' },
+  'music.path':        { type: 'path', opt: 'music' },
+  'music.all':         { type: 'boolean', opt: 'musicAll' },
+  'music.volume':      { type: 'number', opt: 'musicVolume', check: v => v >= 0 || 'must be 0 or more' },
+  'music.fadeIn':      { type: 'number', opt: 'musicFadeIn', check: v => v >= 0 || 'must be 0 or more' },
+  'music.fadeOut':     { type: 'number', opt: 'musicFadeOut', check: v => v >= 0 || 'must be 0 or more' },
+  'music.start':       { type: 'number', opt: 'musicStart', check: v => v >= 0 || 'must be 0 or more' },
+  'music.duck':        { type: 'boolean', opt: 'duck' },
+  'audio.loudness':    { type: 'loudness', opt: 'loudness' },
+  'overlays.texts':    { type: 'string[]', opt: 'overlay' },
+  'overlays.file':     { type: 'path', opt: 'overlays' },
+  'overlays.pos':      { type: 'string', opt: 'overlayPos', values: ['top', 'center', 'bottom'] },
+  'overlays.size':     { type: 'integer', opt: 'overlaySize', check: v => v > 0 || 'must be positive' },
+  'overlays.color':    { type: 'string', opt: 'overlayColor' },
+  'overlays.spec':     { type: 'path', opt: 'overlaySpec' },
+  'logo.path':         { type: 'path', opt: 'logo' },
+  'logo.dir':          { type: 'path', opt: 'logoDir' },
+  'logo.pos':          { type: 'string', opt: 'logoPos', values: LOGO_POSITIONS },
+  'logo.margin':       { type: 'number', opt: 'logoMargin', check: v => (v >= 0 && v < 0.5) || 'must be from 0 to 0.5' },
+  'logo.scale':        { type: 'number', opt: 'logoScale', check: v => (v > 0 && v <= 1) || 'must be above 0 and at most 1' },
+  'logo.opacity':      { type: 'number', opt: 'logoOpacity', check: v => (v >= 0 && v <= 1) || 'must be from 0 to 1' },
+  'logo.start':        { type: 'number', opt: 'logoStart', check: v => v >= 0 || 'must be 0 or more' },
+  'logo.end':          { type: 'number', opt: 'logoEnd', check: v => v > 0 || 'must be positive' },
+  'export.enabled':    { type: 'boolean', opt: 'export' },
+  'export.gallery':    { type: 'boolean', opt: 'gallery' },
+  'export.columns':    { type: 'pairs', opt: 'column', desc: 'column name → template string' },
+  'transitions.all':   { type: 'string', opt: 'transition' },
+  'transitions.at':    { type: 'pairs', opt: 'transitionAt', desc: 'boundary (e.g. "hook>body") → transition' },
+  'render.preset':     { type: 'string', opt: 'preset' },
+  'render.codec':      { type: 'string', opt: 'codec', values: Object.keys(CODECS) },
+  'render.crf':        { type: 'integer', opt: 'crf', check: v => v >= 0 || 'must be 0 or more' },
+  'render.bitrate':    { type: 'bitrate', opt: 'bitrate' },
+  'render.fps':        { type: 'number', opt: 'fps', check: v => (v > 0 && v <= 120) || 'must be above 0 and at most 120' },
+  'render.pixFmt':     { type: 'string', opt: 'pixFmt' },
+  'render.audioBitrate': { type: 'bitrate', opt: 'audioBitrate' },
+  'render.container':  { type: 'string', opt: 'container', values: Object.keys(CONTAINERS) },
+  'render.maxSize':    { type: 'size', opt: 'maxSize' },
+  'render.jobs':       { type: 'jobs', opt: 'jobs' },
+  'render.retries':    { type: 'integer', opt: 'retries', check: v => v >= 0 || 'must be 0 or more' },
+  'render.timeout':    { type: 'number', opt: 'timeout', check: v => v > 0 || 'must be positive' },
+  'render.thumbnails': { type: 'boolean', opt: 'thumbnails' },
+  'render.thumbTime':  { type: 'number', opt: 'thumbTime', check: v => v >= 0 || 'must be 0 or more' },
+  'render.captions':   { type: 'boolean', opt: 'captions' },
+  'render.draft':      { type: 'boolean', opt: 'draft' },
+  'storyboard.enabled': { type: 'boolean', opt: 'storyboard' },
+  'storyboard.frames': { type: 'integer', opt: 'storyboardFrames', check: v => (v >= 1 && v <= MAX_STORYBOARD_FRAMES) || `must be from 1 to ${MAX_STORYBOARD_FRAMES}` },
+  'captions.style':    { type: 'string', opt: 'captionStyle', values: Object.keys(CAPTION_STYLES) },
+  'captions.position': { type: 'string', opt: 'captionPosition', values: CAPTION_POSITIONS },
+  'captions.words':    { type: 'integer', opt: 'captionWords', check: v => v > 0 || 'must be positive' },
+  'captions.karaoke':  { type: 'boolean', opt: 'karaoke' },
+  'captions.highlight': { type: 'string', opt: 'captionHighlight' },
+  'captions.mode':     { type: 'string', opt: 'captionsMode', values: CAPTION_MODES },
+  'captions.fallback': { type: 'string', opt: 'captionsFallback', values: CAPTION_FALLBACKS },
+};
+
+/**
+ * Find the config file to use: --config wins, then adblitz.config.json in the
+ * working directory. Returns null when there is none (or --no-config).
+ */
+function findConfigFile(configOpt) {
+  if (configOpt === false) return null;
+  if (typeof configOpt === 'string') {
+    const abs = path.resolve(configOpt);
+    if (!fs.existsSync(abs)) {
+      throw new ConfigError(`Config file not found: ${abs}`, { file: abs });
+    }
+    return abs;
+  }
+  const auto = path.resolve(CONFIG_FILENAME);
+  return fs.existsSync(auto) ? auto : null;
+}
+
+/**
+ * Read and validate a config file.
+ * Returns { file, values } where `values` is keyed by option name, ready to
+ * pass to planCombos() / render().
+ */
+function loadConfig(file) {
+  const rel = path.relative(process.cwd(), file) || file;
+  const baseDir = path.dirname(file);
+  const fail = (msg) => {
+    throw new ConfigError(`Invalid config ${rel}: ${msg}`, { file });
+  };
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    fail(e.message);
+  }
+  if (!isPlainObject(raw)) fail('top level must be a JSON object');
+  if (raw.version !== undefined && raw.version !== CONFIG_VERSION) {
+    fail(`"version" must be ${CONFIG_VERSION}, got: ${JSON.stringify(raw.version)}`);
+  }
+
+  const values = {};
+
+  const readValue = (key, spec, v) => {
+    switch (spec.type) {
+      case 'string':
+      case 'path':
+        if (typeof v !== 'string' || !v.trim()) fail(`"${key}" must be a non-empty string`);
+        if (spec.values && !spec.values.includes(v)) fail(`"${key}" must be one of: ${spec.values.join(', ')}`);
+        return spec.type === 'path' ? path.resolve(baseDir, v) : v;
+      case 'boolean':
+        if (typeof v !== 'boolean') fail(`"${key}" must be true or false`);
+        return v;
+      case 'number':
+        if (typeof v !== 'number' || !isFinite(v)) fail(`"${key}" must be a number`);
+        return v;
+      case 'integer':
+        if (!Number.isInteger(v)) fail(`"${key}" must be a whole number`);
+        return v;
+      case 'string[]':
+        if (typeof v === 'string') v = [v];
+        if (!Array.isArray(v) || !v.every(t => typeof t === 'string' && t.trim())) {
+          fail(`"${key}" must be a string or a list of non-empty strings`);
+        }
+        return v;
+      case 'segments': {
+        // { "hook": "./hooks", ... } or [{ "label": "hook", "path": "./hooks" }, ...]
+        const entries = isPlainObject(v)
+          ? Object.entries(v).map(([label, dir]) => ({ label, path: dir }))
+          : Array.isArray(v) ? v : null;
+        if (!entries || !entries.length) fail(`"${key}" must be a non-empty object or list`);
+        return entries.map((e, i) => {
+          const where = isPlainObject(v) ? `${key}.${e.label}` : `${key}[${i}]`;
+          if (!isPlainObject(e)) fail(`"${where}" must be an object with "label" and "path"`);
+          if (typeof e.label !== 'string' || !e.label.trim() || e.label.includes(':')) {
+            fail(`"${where}" needs a non-empty "label" without colons`);
+          }
+          if (typeof e.path !== 'string' || !e.path.trim()) fail(`"${where}" needs a non-empty "path"`);
+          return `${e.label.trim()}:${path.resolve(baseDir, e.path)}`;
+        });
+      }
+      case 'pairs':
+        // { "Headline": "Shop {cta}" } → the same "Name=value" form the flag takes
+        if (!isPlainObject(v) || !Object.values(v).every(t => typeof t === 'string')) {
+          fail(`"${key}" must be an object of ${spec.desc}`);
+        }
+        return Object.entries(v).map(([name, value]) => `${name}=${value}`);
+      case 'trim':
+        if (!isPlainObject(v)) fail(`"${key}" must be an object of label → trim spec`);
+        for (const [label, spec] of Object.entries(v)) {
+          if (typeof spec !== 'string' && typeof spec !== 'number') {
+            fail(`"${key}.${label}" must be a trim spec like "0-3", "last3", or 3`);
+          }
+          // Parsed here only to report bad specs against the config file
+          parseTrim(String(spec), `"${key}.${label}" in ${rel}`);
+        }
+        return v;
+      case 'loudness':
+        if ((typeof v !== 'string' && typeof v !== 'number') || !parsesAs(parseLoudness, v)) {
+          fail(`"${key}" must be a LUFS target like -14 or one of: ${Object.keys(LOUDNESS_PRESETS).join(', ')}`);
+        }
+        return v;
+      case 'bitrate':
+        if ((typeof v !== 'string' && typeof v !== 'number') || !parsesAs(parseBitrate, v)) {
+          fail(`"${key}" must be a bitrate like "2500k" or "4M"`);
+        }
+        return v;
+      case 'jobs':
+        if ((typeof v !== 'string' && typeof v !== 'number') || !parsesAs(parseJobs, v)) {
+          fail(`"${key}" must be a positive whole number or "auto"`);
+        }
+        return v;
+      case 'size':
+        if ((typeof v !== 'string' && typeof v !== 'number') || !parsesAs(parseSize, v)) {
+          fail(`"${key}" must be a file size like "4MB" or "500KB"`);
+        }
+        return v;
+    }
+  };
+
+  (function walk(obj, prefix) {
+    for (const [k, v] of Object.entries(obj)) {
+      const key = prefix ? `${prefix}.${k}` : k;
+      const spec = CONFIG_KEYS[key];
+      if (spec) {
+        const value = readValue(key, spec, v);
+        if (spec.check) {
+          const result = spec.check(value);
+          if (result !== true) fail(`"${key}" ${result}, got: ${JSON.stringify(v)}`);
+        }
+        if (spec.opt) values[spec.opt] = value;
+        continue;
+      }
+      const isGroup = Object.keys(CONFIG_KEYS).some(p => p.startsWith(key + '.'));
+      if (!isGroup) fail(`unknown key "${key}"`);
+      if (!isPlainObject(v)) fail(`"${key}" must be an object`);
+      walk(v, key);
+    }
+  })(raw, '');
+
+  return { file: rel, values };
+}
+
+module.exports = {
+  CONFIG_FILENAME,
+  CONFIG_VERSION,
+  CONFIG_KEYS,
+  findConfigFile,
+  loadConfig,
+};
@@ -0,0 +1,71 @@
+const { DEFAULT_ENCODING } = require('./encoding');
+
+// --draft previews go into this subfolder of the output folder, with their
+// own manifest and cache, so they never replace a full-quality render
+const DRAFT_DIRNAME = 'drafts';
+
+// Short side of a draft frame in pixels: a 1080×1920 output drafts at 360×640
+const DRAFT_SHORT_SIDE = 360;
+
+// Drafts trade quality for speed and size
+const DRAFT_PRESET = 'ultrafast';
+const DRAFT_CRF = 30;
+const DRAFT_AUDIO_BITRATE = 64;
+
+const even = n => Math.max(2, Math.round(n / 2) * 2);
+
+/**
+ * How much drafts shrink the run's formats: their smallest short side
+ * becomes DRAFT_SHORT_SIDE. Formats already that small stay as they are.
+ */
+function draftScale(formats) {
+  const shortSide = Math.min(...formats.map(f => Math.min(f.width, f.height)));
+  return Math.min(1, DRAFT_SHORT_SIDE / shortSide);
+}
+
+/** A format shrunk by `scale`, keeping even dimensions. */
+function draftFormat(format, scale) {
+  return { ...format, width: even(format.width * scale), height: even(format.height * scale) };
+}
+
+/**
+ * Draft encoding: H.264 in an .mp4 at the run's frame rate, at a low
+ * quality and no bitrate cap or size budget, so every preview is quick to
+ * make and plays anywhere.
+ */
+function draftEncoding(encoding) {
+  return { ...DEFAULT_ENCODING, fps: encoding.fps, crf: DRAFT_CRF, audioBitrate: DRAFT_AUDIO_BITRATE };
+}
+
+/** A size in pixels shrunk by `scale`, never below 1. */
+function draftPixels(n, scale) {
+  return Math.max(1, Math.round(n * scale));
+}
+
+/**
+ * An overlay spec layer for a draft frame: its font size, border, box
+ * padding and pixel positions shrink with the frame. Shares of the frame
+ * already scale on their own.
+ */
+function draftLayer(layer, scale) {
+  const pixels = v => (v !== null && v > 1 ? draftPixels(v, scale) : v);
+  return {
+    ...layer,
+    size: draftPixels(layer.size, scale),
+    border: Math.round(layer.border * scale),
+    box: layer.box && { ...layer.box, padding: Math.round(layer.box.padding * scale) },
+    x: pixels(layer.x),
+    y: pixels(layer.y),
+  };
+}
+
+module.exports = {
+  DRAFT_DIRNAME,
+  DRAFT_SHORT_SIDE,
+  DRAFT_PRESET,
+  draftScale,
+  draftFormat,
+  draftEncoding,
+  draftPixels,
+  draftLayer,
+};
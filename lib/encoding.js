@@ -0,0 +1,219 @@
+const { shellEscape } = require('./util');
+const { platformEncoding } = require('./platforms');
+const { ValidationError } = require('./errors');
+
+/**
+ * Video codecs for --codec: the CPU encoder behind each, its default CRF
+ * and the top of its CRF scale.
+ */
+const CODECS = {
+  h264: { title: 'H.264', encoder: 'libx264', crf: 23, maxCrf: 51 },
+  h265: { title: 'H.265', encoder: 'libx265', crf: 28, maxCrf: 51 },
+  vp9: { title: 'VP9', encoder: 'libvpx-vp9', crf: 32, maxCrf: 63 },
+  av1: { title: 'AV1', encoder: 'libaom-av1', crf: 32, maxCrf: 63 },
+};
+
+/**
+ * Containers for --container, the video codecs each holds and the audio
+ * codec that goes with them. MP4 and MOV share the QuickTime muxer options.
+ * Without --container, a codec goes into the first container listed here
+ * that holds it.
+ */
+const CONTAINERS = {
+  mp4: { codecs: ['h264', 'h265', 'av1'], audio: 'aac', quicktime: true },
+  mov: { codecs: ['h264', 'h265'], audio: 'aac', quicktime: true },
+  webm: { codecs: ['vp9', 'av1'], audio: 'libopus', quicktime: false },
+};
+
+/**
+ * Encoding when no --platform or encoding flag changes it: H.264 at CRF 23,
+ * 30fps yuv420p, 128 kbps AAC at 44.1kHz in an .mp4. Bitrates are in kbps,
+ * `maxSize` in bytes.
+ */
+const DEFAULT_ENCODING = {
+  fps: 30,
+  audioRate: 44100,
+  audioBitrate: 128,
+  maxBitrate: null,
+  codec: 'h264',
+  crf: 23,
+  bitrate: null,
+  pixFmt: 'yuv420p',
+  container: 'mp4',
+  maxSize: null,
+};
+
+// --preset names as libvpx/libaom -cpu-used values (higher is faster)
+const CPU_USED = { ultrafast: 8, superfast: 7, veryfast: 6, faster: 5, fast: 4, medium: 3, slow: 2, slower: 1, veryslow: 0 };
+
+// Share of a --max-size budget kept free for the container's own overhead
+const SIZE_MARGIN = 0.03;
+
+// Below this many kbps there is no usable picture left; the budget is too small
+const MIN_VIDEO_BITRATE = 50;
+
+const BITRATE_RE = /^(\d+(?:\.\d+)?)\s*([km])?(?:bps|b)?$/i;
+const SIZE_RE = /^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/i;
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+/**
+ * A bitrate like "2500k", "4M" or 2500 (plain numbers are kbps), in kbps.
+ */
+function parseBitrate(value, flag = 'bitrate') {
+  const match = String(value).trim().match(BITRATE_RE);
+  const kbps = match ? Number(match[1]) * (match[2] && match[2].toLowerCase() === 'm' ? 1000 : 1) : 0;
+  if (!(kbps >= 1)) throw new ValidationError(`${flag} must be a bitrate like 2500k or 4M, got: ${value}`);
+  return Math.round(kbps);
+}
+
+/**
+ * A file size like "4MB", "500KB" or 4 (plain numbers are MB), in bytes.
+ */
+function parseSize(value, flag = 'size') {
+  const match = String(value).trim().match(SIZE_RE);
+  const bytes = match ? Number(match[1]) * SIZE_UNITS[(match[2] || 'm')[0].toLowerCase()] : 0;
+  if (!(bytes >= 1)) throw new ValidationError(`${flag} must be a file size like 4MB or 500KB, got: ${value}`);
+  return Math.round(bytes);
+}
+
+/**
+ * The encoding a run uses: the defaults, then the --platform's rates and
+ * bitrate cap, then the encoding flags. Throws ValidationError on bad
+ * values and codecs the container can't hold.
+ */
+function parseEncoding(opts, platform, warnings) {
+  const encoding = { ...DEFAULT_ENCODING, ...(platform && platformEncoding(platform)) };
+  const has = key => opts[key] !== undefined && opts[key] !== null;
+
+  if (has('container')) {
+    encoding.container = String(opts.container).toLowerCase().replace(/^\./, '');
+    if (!CONTAINERS[encoding.container]) {
+      throw new ValidationError(`Unknown container: "${opts.container}". Use one of: ${Object.keys(CONTAINERS).join(', ')}`);
+    }
+  }
+  if (has('codec')) {
+    encoding.codec = String(opts.codec).toLowerCase();
+    if (!CODECS[encoding.codec]) {
+      throw new ValidationError(`Unknown codec: "${opts.codec}". Use one of: ${Object.keys(CODECS).join(', ')}`);
+    }
+  } else if (has('container')) {
+    encoding.codec = CONTAINERS[encoding.container].codecs[0];
+  }
+  if (!has('container')) {
+    encoding.container = Object.keys(CONTAINERS).find(name => CONTAINERS[name].codecs.includes(encoding.codec));
+  }
+  const container = CONTAINERS[encoding.container];
+  const codec = CODECS[encoding.codec];
+  if (!container.codecs.includes(encoding.codec)) {
+    throw new ValidationError(`A .${encoding.container} file can't hold ${codec.title} video`, {
+      hint: `Use --codec ${container.codecs.join(' or ')}, or leave out --container`,
+    });
+  }
+  // Opus only encodes at 48kHz
+  if (container.audio === 'libopus') encoding.audioRate = 48000;
+
+  encoding.crf = codec.crf;
+  if (has('crf')) {
+    const crf = Number(opts.crf);
+    if (opts.crf === '' || !Number.isInteger(crf) || crf < 0 || crf > codec.maxCrf) {
+      throw new ValidationError(`--crf must be a whole number from 0 to ${codec.maxCrf} for ${codec.title}, got: ${opts.crf}`);
+    }
+    encoding.crf = crf;
+  }
+  if (has('bitrate')) {
+    if (has('crf')) throw new ValidationError('Use either --crf (constant quality) or --bitrate (average bitrate), not both');
+    encoding.bitrate = parseBitrate(opts.bitrate, '--bitrate');
+    encoding.crf = null;
+  }
+  if (has('fps')) {
+    const fps = Number(opts.fps);
+    if (opts.fps === '' || !(fps > 0) || fps > 120) {
+      throw new ValidationError(`--fps must be a frame rate above 0 and at most 120, got: ${opts.fps}`);
+    }
+    encoding.fps = fps;
+  }
+  if (has('pixFmt')) {
+    if (!/^[a-z0-9_]+$/i.test(String(opts.pixFmt))) {
+      throw new ValidationError(`--pix-fmt must be an ffmpeg pixel format like yuv420p, got: ${opts.pixFmt}`);
+    }
+    encoding.pixFmt = String(opts.pixFmt);
+  }
+  if (has('audioBitrate')) encoding.audioBitrate = parseBitrate(opts.audioBitrate, '--audio-bitrate');
+  if (has('maxSize')) {
+    encoding.maxSize = parseSize(opts.maxSize, '--max-size');
+    if (has('crf') || has('bitrate')) {
+      warnings.push(`--max-size sets each output's bitrate; --${has('crf') ? 'crf' : 'bitrate'} only applies to the intermediate clips`);
+    }
+  }
+  return encoding;
+}
+
+/**
+ * Video encoder arguments. Without a `bitrate` the encoding's CRF (or its
+ * own bitrate) is used; `pass` and `passlog` run one pass of a two-pass
+ * encode. The platform's bitrate cap applies either way.
+ */
+function videoCodecArgs(preset, encoding = DEFAULT_ENCODING, { bitrate = encoding.bitrate, pass = null, passlog = null } = {}) {
+  const { encoder } = CODECS[encoding.codec];
+  const x26x = encoder === 'libx264' || encoder === 'libx265';
+  const args = [`-c:v ${encoder}`];
+  if (x26x) {
+    args.push(`-preset ${preset}`);
+  } else {
+    const speed = preset in CPU_USED ? CPU_USED[preset] : CPU_USED.fast;
+    args.push(encoder === 'libvpx-vp9' ? `-deadline good -cpu-used ${Math.min(speed, 5)}` : `-cpu-used ${speed}`, '-row-mt 1');
+  }
+  if (bitrate) {
+    args.push(`-b:v ${bitrate}k`);
+  } else {
+    args.push(`-crf ${encoding.crf}`);
+    // libvpx/libaom need -b:v 0 for constant quality, or the cap for constrained quality
+    if (!x26x) args.push(`-b:v ${encoding.maxBitrate ? `${encoding.maxBitrate}k` : 0}`);
+  }
+  if (encoding.maxBitrate) args.push(`-maxrate ${encoding.maxBitrate}k -bufsize ${encoding.maxBitrate * 2}k`);
+  if (pass) {
+    args.push(encoder === 'libx265'
+      ? `-x265-params pass=${pass}:stats=${shellEscape(passlog)}`
+      : `-pass ${pass} -passlogfile ${shellEscape(passlog)}`);
+  }
+  args.push(`-pix_fmt ${encoding.pixFmt}`);
+  // Apple players only take H.265 tagged hvc1
+  if (encoder === 'libx265' && CONTAINERS[encoding.container].quicktime) args.push('-tag:v hvc1');
+  return args.join(' ');
+}
+
+function audioCodecArgs(encoding = DEFAULT_ENCODING) {
+  return `-c:a ${CONTAINERS[encoding.container].audio} -b:a ${encoding.audioBitrate}k -ar ${encoding.audioRate}`;
+}
+
+/**
+ * Muxer arguments for a finished output: MP4/MOV get their index up front
+ * so playback can start before the download finishes.
+ */
+function muxerArgs(encoding = DEFAULT_ENCODING) {
+  return CONTAINERS[encoding.container].quicktime ? '-movflags +faststart' : '';
+}
+
+/**
+ * Video bitrate (kbps) that fits `seconds` of video, and its audio, into
+ * the --max-size budget. Null when the budget is too small for a picture.
+ */
+function sizeBitrate(encoding, seconds, hasAudio) {
+  const totalKbps = (encoding.maxSize * 8 * (1 - SIZE_MARGIN)) / 1000 / seconds;
+  let kbps = Math.floor(totalKbps - (hasAudio ? encoding.audioBitrate : 0));
+  if (encoding.maxBitrate) kbps = Math.min(kbps, encoding.maxBitrate);
+  return kbps >= MIN_VIDEO_BITRATE ? kbps : null;
+}
+
+module.exports = {
+  CODECS,
+  CONTAINERS,
+  DEFAULT_ENCODING,
+  parseBitrate,
+  parseSize,
+  parseEncoding,
+  videoCodecArgs,
+  audioCodecArgs,
+  muxerArgs,
+  sizeBitrate,
+};
@@ -0,0 +1,49 @@
+/**
+ * Errors thrown by the adblitz API. The CLI prints `message` (and `hint`,
+ * when there is one) and exits; library callers can catch by class.
+ */
+class AdblitzError extends Error {
+  constructor(message, { hint } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (hint) this.hint = hint;
+  }
+}
+
+/** Bad options, missing folders, invalid rules or formats. */
+class ValidationError extends AdblitzError {}
+
+/** A config file that can't be read or doesn't match the schema. */
+class ConfigError extends ValidationError {
+  constructor(message, { file, hint } = {}) {
+    super(message, { hint });
+    this.file = file;
+  }
+}
+
+/** ffmpeg, ffprobe or whisper is not installed. */
+class DependencyError extends AdblitzError {}
+
+/** An ffmpeg command failed; `message` is its output. */
+class FfmpegError extends AdblitzError {
+  constructor(message, { command } = {}) {
+    super(message);
+    this.command = command;
+  }
+}
+
+/** A job or command ran past its time limit. */
+class TimeoutError extends AdblitzError {}
+
+/** The render was cancelled with job.cancel(), e.g. on Ctrl-C. */
+class CancelledError extends AdblitzError {}
+
+module.exports = {
+  AdblitzError,
+  ValidationError,
+  ConfigError,
+  DependencyError,
+  FfmpegError,
+  TimeoutError,
+  CancelledError,
+};
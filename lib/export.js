@@ -0,0 +1,107 @@
+const path = require('path');
+const fs = require('fs');
+const { applyNaming } = require('./util');
+const { getVideoDuration } = require('./ffmpeg');
+const { thumbnailPath } = require('./manifest');
+const { ValidationError } = require('./errors');
+
+// Written to the output folder for ads-platform bulk uploads
+const EXPORT_BASENAME = 'manifest';
+
+/**
+ * Parse --column "Name=template" pairs into [{ name, template }].
+ */
+function parseColumns(columnArgs) {
+  const columns = [];
+  for (const arg of [].concat(columnArgs || [])) {
+    const eqIdx = arg.indexOf('=');
+    const name = eqIdx === -1 ? '' : arg.substring(0, eqIdx).trim();
+    if (!name) {
+      throw new ValidationError(`Invalid column: "${arg}". Use "Column Name=template", e.g. "Ad Name={index}_{hook}"`);
+    }
+    if (columns.some(c => c.name === name)) {
+      throw new ValidationError(`Column listed twice: "${name}"`);
+    }
+    columns.push({ name, template: arg.substring(eqIdx + 1) });
+  }
+  return columns;
+}
+
+/**
+ * Fill a column template: everything --naming supports, plus {file},
+ * {format}, {overlay}, {logo} and {music}.
+ */
+function applyColumnTemplate(template, combo) {
+  return applyNaming(template, combo.parts, combo.index)
+    .replace(/\{file\}/g, path.basename(combo.name))
+    .replace(/\{format\}/g, combo.format.name || '')
+    .replace(/\{overlay\}/g, combo.overlayText || '')
+    .replace(/\{logo\}/g, combo.logo ? combo.logo.name : '')
+    .replace(/\{music\}/g, combo.music ? combo.music.name : '');
+}
+
+function csvField(value) {
+  const s = value == null ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * One row per output that exists after this run, for the exports and the
+ * review gallery. Durations come from the run manifest, probing the file
+ * (and filling in the manifest) if it has none. With `loudness` or
+ * `logos`, rows also carry the output's measured LUFS or its logo.
+ */
+function outputRows(outDir, combos, manifest, { columns, thumbnails, loudness, logos }) {
+  return combos
+    .filter(combo => manifest.outputs[combo.name])
+    .map(combo => {
+      const entry = manifest.outputs[combo.name];
+      if (entry.duration == null) entry.duration = getVideoDuration(path.join(outDir, combo.name));
+      const thumb = thumbnailPath(outDir, combo.name);
+      return {
+        file: combo.name,
+        format: combo.format.name || '',
+        thumbnail: thumbnails && fs.existsSync(thumb) ? path.relative(outDir, thumb).split(path.sep).join('/') : '',
+        duration: entry.duration != null ? Number(entry.duration.toFixed(2)) : null,
+        ...(loudness && { loudness: entry.loudness || null }),
+        width: combo.format.width,
+        height: combo.format.height,
+        segments: Object.fromEntries(combo.parts.map(p => [p.label, p.video.name])),
+        overlay: combo.overlayText || '',
+        ...(logos && { logo: combo.logo ? combo.logo.name : '' }),
+        music: combo.music ? combo.music.name : '',
+        columns: Object.fromEntries(columns.map(c => [c.name, applyColumnTemplate(c.template, combo)])),
+      };
+    });
+}
+
+/**
+ * Write manifest.csv and manifest.json from outputRows(): one row per
+ * video, ready for ads-platform bulk import.
+ */
+function writeExports(outDir, rows, { labels, columns, loudness, logos }) {
+  const header = ['file', 'format', 'thumbnail', 'duration', ...(loudness ? ['loudness'] : []), 'width', 'height', ...labels, 'overlay', ...(logos ? ['logo'] : []), 'music', ...columns.map(c => c.name)];
+  const lines = rows.map(r => [
+    r.file, r.format, r.thumbnail, r.duration,
+    ...(loudness ? [r.loudness && r.loudness.final] : []),
+    r.width, r.height,
+    ...labels.map(l => r.segments[l]),
+    r.overlay,
+    ...(logos ? [r.logo] : []),
+    r.music,
+    ...columns.map(c => r.columns[c.name]),
+  ].map(csvField).join(','));
+  fs.writeFileSync(path.join(outDir, `${EXPORT_BASENAME}.csv`), [header.map(csvField).join(','), ...lines].join('\n') + '\n');
+  fs.writeFileSync(
+    path.join(outDir, `${EXPORT_BASENAME}.json`),
+    JSON.stringify({ generatedAt: new Date().toISOString(), outputs: rows }, null, 2) + '\n'
+  );
+  return rows.length;
+}
+
+module.exports = {
+  EXPORT_BASENAME,
+  parseColumns,
+  outputRows,
+  writeExports,
+};
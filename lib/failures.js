@@ -0,0 +1,68 @@
+const path = require('path');
+const fs = require('fs');
+const { isPlainObject } = require('./util');
+const { ConfigError } = require('./errors');
+
+// Written to the output folder after a run with failures
+const FAILED_FILENAME = 'failed.json';
+const FAILED_VERSION = 1;
+
+/**
+ * Record a run's failed outputs in outDir/failed.json, with the options
+ * that planned them (as given, so defaults aren't pinned) and the folder
+ * they were given in, so `--retry-failed` can render just those again.
+ * A run without failures removes the file. Returns the file's path, or
+ * null.
+ */
+function saveFailures(outDir, options, errors) {
+  const file = path.join(outDir, FAILED_FILENAME);
+  if (!errors.length) {
+    try { fs.unlinkSync(file); } catch {}
+    return null;
+  }
+  // A retry's own `only` list is replaced by the failures it leaves
+  const { only, ...rest } = options;
+  const data = {
+    version: FAILED_VERSION,
+    createdAt: new Date().toISOString(),
+    cwd: process.cwd(),
+    options: rest,
+    failed: errors,
+  };
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+/**
+ * Read a failed.json written by saveFailures(): { options, names, cwd },
+ * where `names` are the outputs that failed. Throws ConfigError when the
+ * file can't be read or isn't one.
+ */
+function loadFailures(file) {
+  const rel = path.relative(process.cwd(), file) || file;
+  const fail = msg => {
+    throw new ConfigError(`Invalid failure report ${rel}: ${msg}`, { file });
+  };
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    fail(e.message);
+  }
+  if (!isPlainObject(data) || data.version !== FAILED_VERSION) fail(`not a ${FAILED_FILENAME} from this version of adblitz`);
+  if (!isPlainObject(data.options)) fail('"options" must be an object');
+  if (!Array.isArray(data.failed) || data.failed.some(f => !isPlainObject(f) || typeof f.name !== 'string')) {
+    fail('"failed" must be a list of { name, error }');
+  }
+  return {
+    options: data.options,
+    names: data.failed.map(f => f.name),
+    cwd: typeof data.cwd === 'string' ? data.cwd : null,
+  };
+}
+
+module.exports = {
+  FAILED_FILENAME,
+  saveFailures,
+  loadFailures,
+};
@@ -0,0 +1,235 @@
+const { execSync, spawn } = require('child_process');
+const { shellEscape, fileSignature } = require('./util');
+const { DependencyError, FfmpegError, TimeoutError } = require('./errors');
+
+// ffprobe's output is read; its errors (or the shell's "not found") are not shown
+const PROBE_OPTIONS = { encoding: 'utf-8', timeout: 30000, stdio: ['ignore', 'pipe', 'ignore'] };
+
+// Lengths already probed, by path; a file that changes is probed again
+const durationCache = new Map();
+
+/**
+ * A file's length in seconds, or null when ffprobe can't tell. Each file
+ * is probed once per process until it changes.
+ */
+function getVideoDuration(filePath) {
+  const signature = JSON.stringify(fileSignature(filePath));
+  const cached = durationCache.get(filePath);
+  if (cached && cached.signature === signature) return cached.duration;
+  let duration = null;
+  try {
+    const result = execSync(
+      `ffprobe -v error -show_entries format=duration -of csv=p=0 ${shellEscape(filePath)}`,
+      PROBE_OPTIONS
+    ).trim();
+    const dur = parseFloat(result);
+    if (!isNaN(dur) && dur > 0) duration = dur;
+  } catch {}
+  durationCache.set(filePath, { signature, duration });
+  return duration;
+}
+
+/**
+ * Probe whether a video file has an audio stream.
+ */
+function hasAudioStream(filePath) {
+  try {
+    const result = execSync(
+      `ffprobe -v error -select_streams a -show_entries stream=codec_type -of csv=p=0 ${shellEscape(filePath)}`,
+      PROBE_OPTIONS
+    ).trim();
+    return result.length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * ffprobe's full report on a file: { streams, format }. Throws with
+ * ffprobe's own message when the file can't be read.
+ */
+function probeMedia(filePath) {
+  let output;
+  try {
+    output = execSync(
+      `ffprobe -v error -show_streams -show_format -of json ${shellEscape(filePath)}`,
+      { encoding: 'utf-8', timeout: 30000, stdio: ['ignore', 'pipe', 'pipe'] }
+    );
+  } catch (e) {
+    const stderr = e.stderr ? String(e.stderr).trim() : '';
+    throw new Error(stderr.split('\n').pop() || e.message);
+  }
+  return JSON.parse(output);
+}
+
+function checkFfmpeg() {
+  try {
+    execSync('ffmpeg -version', { stdio: 'ignore' });
+  } catch {
+    throw new DependencyError('ffmpeg is not installed or not in your PATH.', {
+      hint: 'Mac: brew install ffmpeg | Windows: choco install ffmpeg',
+    });
+  }
+}
+
+function checkFfprobe() {
+  try {
+    execSync('ffprobe -version', { stdio: 'ignore' });
+  } catch {
+    throw new DependencyError('ffprobe is not installed or not in your PATH. It comes with ffmpeg.', {
+      hint: 'Mac: brew install ffmpeg | Windows: choco install ffmpeg',
+    });
+  }
+}
+
+function checkWhisper() {
+  try {
+    execSync('which whisper || where whisper 2>/dev/null', { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Whisper is slow on a CPU, but no single clip should take this long
+const WHISPER_TIMEOUT = 5 * 60 * 1000;
+
+// Output kept from a command (the end of it, where the errors are)
+const MAX_OUTPUT = 50 * 1024 * 1024;
+
+// Process groups let us stop the shell and everything it started; Windows has none
+const USE_PROCESS_GROUP = process.platform !== 'win32';
+
+// ffmpeg writes -progress reports to an extra pipe; cmd.exe doesn't pass one on
+const USE_PROGRESS_PIPE = process.platform !== 'win32';
+
+/**
+ * Run a shell command. Resolves with its output, or rejects with
+ * { code, stdout, stderr } when it fails. Aborting `signal` or running
+ * past `timeout` ms kills it and rejects with the abort reason or a
+ * TimeoutError. The command gets its own process group, so a Ctrl-C in
+ * the terminal reaches only adblitz, which decides what to stop.
+ * `onPipe` gets whatever the command writes to file descriptor 3, and
+ * `onExit` all it printed once it has exited, however that happened.
+ */
+function runCommand(cmd, { signal = null, timeout = null, onPipe = null, onExit = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const stdio = ['ignore', 'pipe', 'pipe', ...(onPipe ? ['pipe'] : [])];
+    const proc = spawn(cmd, { shell: true, detached: USE_PROCESS_GROUP, stdio });
+    let stdout = '';
+    let stderr = '';
+    let stopped = null; // why we killed it
+    proc.stdout.on('data', d => { stdout = (stdout + d).slice(-MAX_OUTPUT); });
+    proc.stderr.on('data', d => { stderr = (stderr + d).slice(-MAX_OUTPUT); });
+    if (onPipe) proc.stdio[3].on('data', onPipe);
+
+    const stop = reason => {
+      if (stopped) return;
+      stopped = reason;
+      try {
+        if (USE_PROCESS_GROUP) process.kill(-proc.pid, 'SIGKILL');
+        else proc.kill('SIGKILL');
+      } catch {}
+    };
+    const onAbort = () => stop(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const program = cmd.split(' ')[0];
+    const timer = timeout
+      ? setTimeout(() => stop(new TimeoutError(`${program} timed out after ${formatTimeout(timeout)}`)), timeout)
+      : null;
+
+    const finish = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+    proc.on('error', e => {
+      finish();
+      reject(e);
+    });
+    proc.on('close', code => {
+      finish();
+      if (onExit) onExit(stdout + stderr);
+      if (stopped) reject(stopped);
+      else if (code !== 0) reject({ code, stdout, stderr });
+      else resolve(stdout);
+    });
+  });
+}
+
+function formatTimeout(ms) {
+  return ms % 60000 === 0 ? `${ms / 60000} minutes` : `${Math.round(ms / 100) / 10}s`;
+}
+
+/**
+ * Transcribe an audio file with whisper. Writes <name>.json, with timed
+ * segments and words, into outDir.
+ */
+function runWhisper(file, outDir, { signal } = {}) {
+  const cmd = `whisper ${shellEscape(file)} --output_format json --word_timestamps True --output_dir ${shellEscape(outDir)} --verbose False`;
+  return runCommand(cmd, { signal, timeout: WHISPER_TIMEOUT }).catch(e => {
+    if (e instanceof Error) throw e;
+    throw new Error(e.stderr || `whisper exited with code ${e.code}`);
+  });
+}
+
+/**
+ * Read ffmpeg's -progress reports as they arrive. Each report is a block
+ * of key=value lines ending in progress=continue (or end); `onProgress`
+ * gets { time, speed } for each, in seconds of output written and times
+ * realtime (null while ffmpeg doesn't know yet).
+ */
+function progressParser(onProgress) {
+  let buffered = '';
+  let report = {};
+  return chunk => {
+    const lines = (buffered + chunk).split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      const eq = line.indexOf('=');
+      if (eq === -1) continue;
+      const key = line.slice(0, eq).trim();
+      report[key] = line.slice(eq + 1).trim();
+      if (key !== 'progress') continue;
+      // out_time_us is in microseconds, and so (despite its name) is out_time_ms
+      const micros = Number(report.out_time_us || report.out_time_ms);
+      const speed = parseFloat(report.speed);
+      onProgress({
+        time: micros > 0 ? micros / 1e6 : 0,
+        speed: speed > 0 ? speed : null,
+      });
+      report = {};
+    }
+  };
+}
+
+/**
+ * Run an ffmpeg command line (usually with 2>&1, so its log is the
+ * output). Rejects with FfmpegError carrying that log, or with the abort
+ * reason when `signal` stops it. With `onProgress`, ffmpeg reports how far
+ * it has got about twice a second (see progressParser()). `onLog` gets the
+ * command and its whole log when it exits, for --log-dir.
+ */
+function runFfmpeg(cmd, { signal, onProgress, onLog } = {}) {
+  let onPipe = null;
+  if (onProgress && USE_PROGRESS_PIPE) {
+    cmd = cmd.replace(/^ffmpeg /, 'ffmpeg -progress pipe:3 -nostats ');
+    onPipe = progressParser(onProgress);
+  }
+  const onExit = onLog ? output => onLog(cmd, output) : null;
+  return runCommand(cmd, { signal, onPipe, onExit }).catch(e => {
+    if (e instanceof Error) throw e;
+    throw new FfmpegError(e.stderr || e.stdout || `ffmpeg exited with code ${e.code}`, { command: cmd });
+  });
+}
+
+module.exports = {
+  getVideoDuration,
+  hasAudioStream,
+  probeMedia,
+  checkFfmpeg,
+  checkFfprobe,
+  checkWhisper,
+  runWhisper,
+  runFfmpeg,
+};
@@ -0,0 +1,116 @@
+const { ValidationError } = require('./errors');
+
+const FIT_MODES = ['pad', 'crop', 'blur-fill'];
+
+// Named focal points for --fit crop (x/y as fractions of the overflow)
+const FOCUS_PRESETS = {
+  center: { x: 0.5, y: 0.5 },
+  top: { x: 0.5, y: 0 },
+  bottom: { x: 0.5, y: 1 },
+  left: { x: 0, y: 0.5 },
+  right: { x: 1, y: 0.5 },
+};
+
+// Aspect ratios are rendered with this many pixels on the short side
+const FORMAT_SHORT_SIDE = 1080;
+
+function parseFocus(spec, where) {
+  if (!spec) return FOCUS_PRESETS.center;
+  if (FOCUS_PRESETS[spec]) return FOCUS_PRESETS[spec];
+  const m = spec.match(/^(\d*\.?\d+)\/(\d*\.?\d+)$/);
+  const x = m && parseFloat(m[1]);
+  const y = m && parseFloat(m[2]);
+  if (!m || x > 1 || y > 1) {
+    throw new ValidationError(`Invalid focal point${where ? ` in ${where}` : ''}: "${spec}"`, {
+      hint: `Use x/y between 0 and 1 (e.g. 0.5/0.3) or one of: ${Object.keys(FOCUS_PRESETS).join(', ')}`,
+    });
+  }
+  return { x, y };
+}
+
+function parseFit(fit, where) {
+  if (!FIT_MODES.includes(fit)) {
+    throw new ValidationError(`Invalid fit mode${where ? ` in ${where}` : ''}: "${fit}". Use ${FIT_MODES.join(', ')}`);
+  }
+  return fit;
+}
+
+/**
+ * Parse --formats, e.g. "9x16,1x1:crop,4x5:crop@top,16x9:blur-fill".
+ * Each entry is an aspect ratio (or an exact size like 1080x1350) with an
+ * optional fit mode and, for crop, a focal point. Entries without their own
+ * fit use the defaults from --fit / --focal-point.
+ */
+function parseFormats(spec, defaults) {
+  const items = [].concat(spec).join(',').split(',').map(s => s.trim()).filter(Boolean);
+  const formats = items.map(item => {
+    const m = item.match(/^(\d+)x(\d+)(?::([a-z-]+)(?:@(.+))?)?$/i);
+    if (!m) {
+      throw new ValidationError(`Invalid format: "${item}". Use a ratio like 9x16, optionally with :pad, :crop[@x/y] or :blur-fill`);
+    }
+    const a = parseInt(m[1], 10);
+    const b = parseInt(m[2], 10);
+    let width;
+    let height;
+    if (a >= 100 && b >= 100) {
+      // Exact pixel size
+      if (a % 2 !== 0 || b % 2 !== 0) {
+        throw new ValidationError(`Invalid format: "${item}". Pixel sizes must be even numbers`);
+      }
+      width = a;
+      height = b;
+    } else if (a > 0 && b > 0) {
+      const even = n => Math.round(n / 2) * 2;
+      width = a >= b ? even(FORMAT_SHORT_SIDE * a / b) : FORMAT_SHORT_SIDE;
+      height = a >= b ? FORMAT_SHORT_SIDE : even(FORMAT_SHORT_SIDE * b / a);
+    } else {
+      throw new ValidationError(`Invalid format: "${item}". Ratio sides must be positive`);
+    }
+    const fit = m[3] ? parseFit(m[3].toLowerCase(), `"${item}"`) : defaults.fit;
+    const focus = m[4] ? parseFocus(m[4], `"${item}"`) : defaults.focus;
+    return { name: `${a}x${b}`, width, height, fit, focus };
+  });
+
+  const seen = new Set();
+  for (const f of formats) {
+    if (seen.has(f.name)) {
+      throw new ValidationError(`Format listed twice: ${f.name}`);
+    }
+    seen.add(f.name);
+  }
+  if (!formats.length) {
+    throw new ValidationError('--formats needs at least one format, e.g. 9x16,1x1');
+  }
+  return formats;
+}
+
+/**
+ * Filtergraph that fits a video stream into a format's frame:
+ * - pad:       scale to fit, letterbox with black bars
+ * - crop:      scale to fill, crop around the focal point
+ * - blur-fill: scale to fit over a blurred, scaled-to-fill copy of itself
+ */
+function fitFilter(input, output, { width: w, height: h, fit, focus }) {
+  if (fit === 'crop') {
+    return `[${input}]scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h}:(iw-ow)*${focus.x}:(ih-oh)*${focus.y},setsar=1[${output}]`;
+  }
+  if (fit === 'blur-fill') {
+    return [
+      `[${input}]split=2[${output}_bg][${output}_fg]`,
+      `[${output}_bg]scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h},gblur=sigma=40[${output}_blur]`,
+      `[${output}_fg]scale=${w}:${h}:force_original_aspect_ratio=decrease[${output}_fit]`,
+      `[${output}_blur][${output}_fit]overlay=(W-w)/2:(H-h)/2,setsar=1[${output}]`,
+    ].join(';');
+  }
+  return `[${input}]scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:black,setsar=1[${output}]`;
+}
+
+module.exports = {
+  FIT_MODES,
+  FOCUS_PRESETS,
+  FORMAT_SHORT_SIDE,
+  parseFocus,
+  parseFit,
+  parseFormats,
+  fitFilter,
+};
@@ -0,0 +1,247 @@
+const path = require('path');
+const fs = require('fs');
+
+// Written to the output folder for reviewing a run in a browser
+const GALLERY_FILENAME = 'index.html';
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif; background: #111; color: #eee; }
+  header { position: sticky; top: 0; z-index: 1; padding: 12px 20px; background: #1b1b1b; border-bottom: 1px solid #333; }
+  h1 { margin: 0 0 8px; font-size: 18px; }
+  h1 small { color: #999; font-weight: normal; }
+  .bar { display: flex; flex-wrap: wrap; gap: 8px 16px; align-items: center; }
+  label.filter { color: #999; }
+  select, button { font: inherit; color: #eee; background: #2a2a2a; border: 1px solid #444; border-radius: 4px; padding: 3px 6px; }
+  button { cursor: pointer; }
+  button:hover { background: #333; }
+  .actions { margin-left: auto; display: flex; gap: 8px; align-items: center; }
+  #tally { color: #999; }
+  main { display: grid; grid-template-columns: repeat(auto-fill, minmax(240px, 1fr)); gap: 16px; padding: 20px; }
+  .card { background: #1b1b1b; border: 2px solid #1b1b1b; border-radius: 8px; overflow: hidden; }
+  .card.approved { border-color: #2e9d4f; }
+  .card.rejected { border-color: #c0392b; opacity: .6; }
+  .card video { display: block; width: 100%; aspect-ratio: var(--aspect); background: #000; }
+  .meta { padding: 8px 10px 10px; }
+  .name { font-weight: 600; word-break: break-all; }
+  .facts { color: #999; margin: 2px 0 6px; }
+  dl { display: grid; grid-template-columns: auto 1fr; gap: 0 8px; margin: 0 0 8px; }
+  dt { color: #999; }
+  dd { margin: 0; word-break: break-word; }
+  .review { display: flex; gap: 12px; }
+  .review label { cursor: pointer; }
+  .empty { grid-column: 1 / -1; color: #999; text-align: center; padding: 40px; }
+`;
+
+// Runs in the browser: builds the cards and filters from the embedded data,
+// and keeps review marks in localStorage so they survive a reload
+const SCRIPT = `
+(function () {
+  var data = JSON.parse(document.getElementById('adblitz-data').textContent);
+  var storageKey = 'adblitz-review:' + location.pathname;
+  var marks = {};
+  try { marks = JSON.parse(localStorage.getItem(storageKey)) || {}; } catch (e) {}
+  function save() {
+    try { localStorage.setItem(storageKey, JSON.stringify(marks)); } catch (e) {}
+  }
+
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (key) { node[key] = props[key]; });
+    (children || []).forEach(function (child) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return node;
+  }
+  function url(file) {
+    return file.split('/').map(encodeURIComponent).join('/');
+  }
+  function seconds(s) {
+    if (s == null) return '';
+    return s < 60 ? s.toFixed(1) + 's' : Math.floor(s / 60) + 'm ' + String(Math.round(s % 60)).padStart(2, '0') + 's';
+  }
+  function bytes(n) {
+    if (n == null) return '';
+    return n < 1048576 ? Math.round(n / 1024) + ' KB' : (n / 1048576).toFixed(1) + ' MB';
+  }
+
+  // One filter per segment, plus overlay, music, logo and format when they vary
+  var fields = data.labels.map(function (label) {
+    return { title: label, get: function (o) { return o.segments[label] || ''; } };
+  }).concat(['overlay', 'music', 'logo', 'format'].map(function (key) {
+    return { title: key, get: function (o) { return o[key] || ''; } };
+  })).filter(function (field) {
+    var values = data.outputs.map(field.get);
+    field.values = values.filter(function (v, i) { return values.indexOf(v) === i; }).sort();
+    return field.values.length > 1;
+  });
+  var statuses = ['approved', 'rejected', 'unreviewed'];
+
+  var filters = document.getElementById('filters');
+  var statusField;
+  fields.concat([{ title: 'status', values: statuses }]).forEach(function (field) {
+    field.select = el('select', { onchange: render }, [el('option', { value: '', textContent: 'all' })]
+      .concat(field.values.map(function (v) { return el('option', { value: v, textContent: v || '(none)' }); })));
+    filters.appendChild(el('label', { className: 'filter' }, [field.title + ' ', field.select]));
+    if (field.title === 'status') statusField = field;
+  });
+
+  function status(o) {
+    return marks[o.file] || 'unreviewed';
+  }
+  function mark(o, value, card) {
+    if (value) marks[o.file] = value;
+    else delete marks[o.file];
+    save();
+    if (statusField.select.value) render();
+    else update(card, o);
+    tally();
+  }
+  function update(card, o) {
+    var s = status(o);
+    card.className = 'card ' + s;
+    card.querySelector('.approve').checked = s === 'approved';
+    card.querySelector('.reject').checked = s === 'rejected';
+  }
+
+  function card(o) {
+    var facts = [seconds(o.duration), bytes(o.size), o.width + '×' + o.height].filter(Boolean).join(' · ');
+    var rows = data.labels.map(function (label) { return [label, o.segments[label]]; })
+      .concat([['overlay', o.overlay], ['logo', o.logo], ['music', o.music]])
+      .filter(function (row) { return row[1]; });
+    var video = el('video', { controls: true, preload: o.thumbnail ? 'none' : 'metadata', src: url(o.file) });
+    if (o.thumbnail) video.poster = url(o.thumbnail);
+    var approve = el('input', { type: 'checkbox', className: 'approve' });
+    var reject = el('input', { type: 'checkbox', className: 'reject' });
+    var node = el('article', {}, [
+      video,
+      el('div', { className: 'meta' }, [
+        el('div', { className: 'name' }, [o.file]),
+        el('div', { className: 'facts' }, [facts]),
+        el('dl', {}, [].concat.apply([], rows.map(function (row) {
+          return [el('dt', {}, [row[0]]), el('dd', {}, [row[1]])];
+        }))),
+        el('div', { className: 'review' }, [
+          el('label', {}, [approve, ' Approve']),
+          el('label', {}, [reject, ' Reject']),
+        ]),
+      ]),
+    ]);
+    node.style.setProperty('--aspect', o.width + ' / ' + o.height);
+    approve.onchange = function () { mark(o, approve.checked ? 'approved' : null, node); };
+    reject.onchange = function () { mark(o, reject.checked ? 'rejected' : null, node); };
+    update(node, o);
+    return node;
+  }
+
+  var grid = document.getElementById('grid');
+  function render() {
+    var shown = data.outputs.filter(function (o) {
+      return fields.every(function (f) { return !f.select.value || f.get(o) === f.select.value; }) &&
+        (!statusField.select.value || status(o) === statusField.select.value);
+    });
+    grid.textContent = '';
+    shown.forEach(function (o) { grid.appendChild(card(o)); });
+    if (!shown.length) grid.appendChild(el('p', { className: 'empty' }, ['No videos match these filters.']));
+    document.getElementById('count').textContent = shown.length + ' of ' + data.outputs.length + ' videos';
+  }
+  function tally() {
+    var counts = { approved: 0, rejected: 0 };
+    data.outputs.forEach(function (o) { if (counts[status(o)] !== undefined) counts[status(o)]++; });
+    document.getElementById('tally').textContent = counts.approved + ' approved, ' + counts.rejected + ' rejected';
+  }
+
+  function download(name, type, text) {
+    var link = el('a', { href: URL.createObjectURL(new Blob([text], { type: type })), download: name });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+  function csvField(v) {
+    var s = v == null ? '' : String(v);
+    return /[",\\r\\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+  document.getElementById('export-csv').onclick = function () {
+    var lines = [['file', 'status'].concat(data.labels, ['overlay', 'music'])].concat(data.outputs.map(function (o) {
+      return [o.file, status(o)].concat(data.labels.map(function (l) { return o.segments[l]; }), [o.overlay, o.music]);
+    }));
+    download('review.csv', 'text/csv', lines.map(function (line) { return line.map(csvField).join(','); }).join('\\n') + '\\n');
+  };
+  document.getElementById('export-json').onclick = function () {
+    var review = {};
+    statuses.forEach(function (s) {
+      review[s] = data.outputs.filter(function (o) { return status(o) === s; }).map(function (o) { return o.file; });
+    });
+    download('review.json', 'application/json', JSON.stringify(review, null, 2) + '\\n');
+  };
+  document.getElementById('clear').onclick = function () {
+    if (!confirm('Clear every approve/reject mark?')) return;
+    marks = {};
+    save();
+    render();
+    tally();
+  };
+
+  render();
+  tally();
+})();
+`;
+
+function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Write index.html to the output folder: a self-contained page (no network
+ * needed) showing every output from outputRows() with its thumbnail, a
+ * player, its length, file size and what it was made from. Reviewers can
+ * filter by segment clip, overlay, music, logo or format, mark videos
+ * approved or rejected, and export the marks as CSV or JSON. Returns the
+ * file's path.
+ */
+function writeGallery(outDir, rows, { labels }) {
+  const outputs = rows.map(row => {
+    let size = null;
+    try { size = fs.statSync(path.join(outDir, row.file)).size; } catch {}
+    return { ...row, size };
+  });
+  const data = { generatedAt: new Date().toISOString(), labels, outputs };
+  // Nothing in the data may close the <script> it is embedded in
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  const heading = escapeHtml(path.basename(outDir));
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${heading} — adblitz review</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${heading} <small id="count"></small></h1>
+  <div class="bar">
+    <div class="bar" id="filters"></div>
+    <div class="actions">
+      <span id="tally"></span>
+      <button id="export-csv">Export CSV</button>
+      <button id="export-json">Export JSON</button>
+      <button id="clear">Clear marks</button>
+    </div>
+  </div>
+</header>
+<main id="grid"></main>
+<script type="application/json" id="adblitz-data">${json}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+  const file = path.join(outDir, GALLERY_FILENAME);
+  fs.writeFileSync(file, html);
+  return file;
+}
+
+module.exports = {
+  GALLERY_FILENAME,
+  writeGallery,
+};
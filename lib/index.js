@@ -0,0 +1,53 @@
+/**
+ * adblitz as a library:
+ *
+ *   const { planCombos, render } = require('adblitz');
+ *   const plan = planCombos({ hooks: './hooks', ctas: './ctas', max: 20 });
+ *   const job = render(plan);
+ *   job.on('combo:done', ({ combo }) => console.log(combo.name));
+ *   const summary = await job.done;
+ *
+ * Options are the CLI flags in camelCase; see DEFAULTS for the ones with a
+ * default value. Everything the CLI does goes through these functions.
+ */
+const { DEFAULTS, planCombos } = require('./plan');
+const { RenderJob, render } = require('./render');
+const { inspectClips } = require('./inspect');
+const { CONFIG_FILENAME, findConfigFile, loadConfig } = require('./config');
+const { EXPORT_BASENAME } = require('./export');
+const { GALLERY_FILENAME } = require('./gallery');
+const { MANIFEST_FILENAME } = require('./manifest');
+const { FAILED_FILENAME, loadFailures } = require('./failures');
+const { DRAFT_DIRNAME } = require('./draft');
+const { STORYBOARD_DIRNAME, MAX_STORYBOARD_FRAMES } = require('./storyboard');
+const { LOUDNESS_PRESETS } = require('./audio');
+const { CAPTION_STYLES } = require('./captions');
+const { PLATFORMS, formatBytes } = require('./platforms');
+const { CODECS, CONTAINERS } = require('./encoding');
+const errors = require('./errors');
+
+module.exports = {
+  planCombos,
+  render,
+  RenderJob,
+  inspectClips,
+  findConfigFile,
+  loadConfig,
+  loadFailures,
+  DEFAULTS,
+  CONFIG_FILENAME,
+  EXPORT_BASENAME,
+  GALLERY_FILENAME,
+  MANIFEST_FILENAME,
+  FAILED_FILENAME,
+  DRAFT_DIRNAME,
+  STORYBOARD_DIRNAME,
+  MAX_STORYBOARD_FRAMES,
+  LOUDNESS_PRESETS,
+  CAPTION_STYLES,
+  PLATFORMS,
+  CODECS,
+  CONTAINERS,
+  formatBytes,
+  ...errors,
+};
@@ -0,0 +1,167 @@
+const { probeMedia, checkFfprobe } = require('./ffmpeg');
+const { planCombos, isPlan } = require('./plan');
+
+// A clip filling less of the frame than this (with pad or blur-fill) is
+// flagged as letterboxed
+const MIN_FRAME_COVERAGE = 0.75;
+
+// A crop cutting away more of the picture than this is flagged
+const MAX_CROP_LOSS = 0.25;
+
+// Scaling a clip up by more than this is flagged as soft
+const MAX_UPSCALE = 1.5;
+
+// r_frame_rate and avg_frame_rate further apart than this mean a variable frame rate
+const VFR_TOLERANCE = 0.01;
+
+// Named aspect ratios, matched within 1%
+const ASPECT_NAMES = ['9:16', '16:9', '1:1', '4:5', '5:4', '4:3', '3:4', '2:3', '3:2', '21:9'];
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+function parseRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  if (!num || !isFinite(num)) return null;
+  return den ? num / den : num;
+}
+
+function aspectName(width, height) {
+  const ratio = width / height;
+  const named = ASPECT_NAMES.find(name => {
+    const [a, b] = name.split(':').map(Number);
+    return Math.abs(ratio / (a / b) - 1) < 0.01;
+  });
+  return named || `${round(ratio)}:1`;
+}
+
+/**
+ * Rotation from the stream's metadata, in degrees clockwise (0–270).
+ */
+function streamRotation(stream) {
+  let degrees = 0;
+  if (stream.tags && stream.tags.rotate) degrees = Number(stream.tags.rotate);
+  const matrix = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+  if (matrix) degrees = -Number(matrix.rotation);
+  return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+/**
+ * Pull the facts adblitz cares about out of an ffprobe report. Width and
+ * height are as displayed, after rotation.
+ */
+function describeProbe(probe) {
+  const streams = probe.streams || [];
+  const video = streams.find(s => s.codec_type === 'video');
+  const audio = streams.find(s => s.codec_type === 'audio');
+  const info = {
+    width: null,
+    height: null,
+    aspect: null,
+    fps: null,
+    vfr: false,
+    duration: parseFloat(probe.format && probe.format.duration) || null,
+    videoCodec: video ? video.codec_name : null,
+    audioCodec: audio ? audio.codec_name : null,
+    rotation: 0,
+    audio: !!audio,
+  };
+  if (!video) return info;
+  info.rotation = streamRotation(video);
+  const sideways = info.rotation === 90 || info.rotation === 270;
+  info.width = sideways ? video.height : video.width;
+  info.height = sideways ? video.width : video.height;
+  if (info.width && info.height) info.aspect = aspectName(info.width, info.height);
+  const nominal = parseRate(video.r_frame_rate);
+  const average = parseRate(video.avg_frame_rate);
+  info.fps = average ? round(average) : nominal && round(nominal);
+  info.vfr = !!(nominal && average && Math.abs(nominal / average - 1) > VFR_TOLERANCE);
+  return info;
+}
+
+/**
+ * How badly a clip of `width`×`height` fits a format: letterboxing, heavy
+ * crops and upscaling, as readable messages.
+ */
+function fitWarnings(width, height, format) {
+  const where = format.name || `${format.width}×${format.height}`;
+  const cover = Math.max(format.width / width, format.height / height);
+  const contain = Math.min(format.width / width, format.height / height);
+  const warnings = [];
+  const scale = format.fit === 'crop' ? cover : contain;
+  if (format.fit === 'crop') {
+    const lost = 1 - (format.width * format.height) / (width * cover * height * cover);
+    if (lost > MAX_CROP_LOSS) warnings.push(`${where}: the crop cuts away ${Math.round(lost * 100)}% of the picture`);
+  } else {
+    const covered = (width * contain * height * contain) / (format.width * format.height);
+    if (covered < MIN_FRAME_COVERAGE) {
+      const fill = format.fit === 'blur-fill' ? 'a blurred copy' : 'black bars';
+      warnings.push(`${where}: fills only ${Math.round(covered * 100)}% of the frame, the rest is ${fill}`);
+    }
+  }
+  if (scale > MAX_UPSCALE) warnings.push(`${where}: upscaled ${round(scale, 1)}× from ${width}×${height}, may look soft`);
+  return warnings;
+}
+
+/**
+ * Probe one source clip and judge it against the output formats.
+ */
+function inspectClip(video, label, formats) {
+  const clip = { segment: label, name: video.name, path: video.path, kind: video.kind, errors: [], warnings: [] };
+  if (video.kind === 'card') {
+    // Generated at the output size, so there is nothing to probe
+    return { ...clip, duration: video.duration, audio: false };
+  }
+
+  let probe;
+  try {
+    probe = probeMedia(video.path);
+  } catch (e) {
+    clip.errors.push(`unreadable: ${e.message.replace(`${video.path}: `, '')}`);
+    return clip;
+  }
+  const info = describeProbe(probe);
+  Object.assign(clip, info);
+  if (video.kind === 'image') {
+    clip.duration = video.duration;
+    clip.fps = null;
+    clip.vfr = false;
+  }
+
+  if (!info.videoCodec) clip.errors.push('no video stream');
+  else if (!info.width || !info.height) clip.errors.push('unknown frame size');
+  if (video.kind === 'video' && !info.duration) clip.errors.push('unknown duration, the file may be truncated');
+  if (clip.errors.length) return clip;
+
+  if (clip.vfr) clip.warnings.push(`variable frame rate (${clip.fps}fps on average), converted to a constant rate`);
+  for (const format of formats) clip.warnings.push(...fitWarnings(info.width, info.height, format));
+  return clip;
+}
+
+/**
+ * Probe every clip in the segment folders a run would use (a plan, or the
+ * options to plan one) and check how each fits the output formats. Returns
+ * { formats, clips, errors, warnings } with the totals. Throws
+ * DependencyError when ffprobe is missing, rather than calling every clip
+ * unreadable.
+ */
+function inspectClips(config) {
+  const plan = isPlan(config) ? config : planCombos(config);
+  checkFfprobe();
+  const clips = [];
+  for (const seg of plan.segments) {
+    for (const video of seg.videos) clips.push(inspectClip(video, seg.label, plan.formats));
+  }
+  return {
+    formats: plan.formats,
+    clips,
+    errors: clips.reduce((n, clip) => n + clip.errors.length, 0),
+    warnings: clips.reduce((n, clip) => n + clip.warnings.length, 0),
+  };
+}
+
+module.exports = {
+  describeProbe,
+  fitWarnings,
+  inspectClip,
+  inspectClips,
+};
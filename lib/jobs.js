@@ -0,0 +1,116 @@
+const os = require('os');
+const { runWithConcurrency } = require('./util');
+const { ValidationError, TimeoutError, CancelledError } = require('./errors');
+
+// First wait before a retry; it doubles with every further attempt
+const RETRY_DELAY = 1000;
+
+// How long a stopped task gets to kill ffmpeg and remove its partial files
+const STOP_GRACE = 5000;
+
+/**
+ * ffmpeg jobs to run side by side with --jobs auto. Each encode already
+ * spreads over several threads, so this is half the cores.
+ */
+function autoJobs() {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, Math.floor(cores / 2));
+}
+
+/**
+ * --jobs: a positive whole number, or "auto" for autoJobs().
+ */
+function parseJobs(value) {
+  if (value === undefined || value === null || String(value).toLowerCase() === 'auto') return autoJobs();
+  const n = Number(value);
+  if (value === '' || !Number.isInteger(n) || n < 1) {
+    throw new ValidationError(`--jobs must be a positive whole number or "auto", got: ${value}`);
+  }
+  return n;
+}
+
+/** Resolves after `ms`, or rejects with the abort reason if `signal` fires first. */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/** Resolves once `promise` settles either way, or after `ms` at the latest. */
+function settled(promise, ms) {
+  let timer;
+  const cutoff = new Promise(resolve => { timer = setTimeout(resolve, ms); });
+  return Promise.race([promise.then(() => {}, () => {}), cutoff]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * One attempt at a task. The task gets its own AbortSignal, aborted when
+ * the run's `signal` is or after `timeout` seconds. The attempt then waits
+ * for the task to stop and clean up, up to STOP_GRACE, so nothing it
+ * leaves behind outlives the result or races a retry.
+ */
+async function attempt(task, timeout, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  const timer = timeout
+    ? setTimeout(() => controller.abort(new TimeoutError(`Timed out after ${timeout}s`)), timeout * 1000)
+    : null;
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  const running = Promise.resolve(task(controller.signal));
+  try {
+    return await Promise.race([running, aborted]);
+  } catch (e) {
+    if (controller.signal.aborted) await settled(running, STOP_GRACE);
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Run tasks (functions taking an AbortSignal) `concurrency` at a time, like
+ * runWithConcurrency(). A failed task is tried again up to `retries` times,
+ * waiting 1s, 2s, 4s… in between, and onRetry(idx, attempts, error) is
+ * called before each retry; errors with `retry: false` fail at once. Once
+ * `signal` is aborted nothing new starts and running tasks are stopped.
+ * Results also carry `attempts` and `cancelled`.
+ */
+function runJobs(tasks, { concurrency, retries = 0, timeout = null, signal = null, onRetry = null }, onComplete) {
+  const attempts = new Array(tasks.length).fill(0);
+  const wrapped = tasks.map((task, i) => async () => {
+    for (;;) {
+      if (signal && signal.aborted) throw signal.reason;
+      attempts[i]++;
+      try {
+        return await attempt(task, timeout, signal);
+      } catch (e) {
+        if ((signal && signal.aborted) || e.retry === false || attempts[i] > retries) throw e;
+        if (onRetry) onRetry(i, attempts[i], e);
+        await delay(RETRY_DELAY * 2 ** (attempts[i] - 1), signal);
+      }
+    }
+  });
+  return runWithConcurrency(wrapped, concurrency, (completed, i, result) => {
+    const cancelled = !result.ok && result.error instanceof CancelledError;
+    if (onComplete) onComplete(completed, i, { ...result, attempts: attempts[i], cancelled });
+  });
+}
+
+module.exports = {
+  autoJobs,
+  parseJobs,
+  runJobs,
+};
@@ -0,0 +1,113 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { isPlainObject, fileSignature } = require('./util');
+
+// Lives in the output folder and records what each output was rendered from
+const MANIFEST_FILENAME = '.adblitz-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Load the run manifest from an output folder. A missing, unreadable or
+ * outdated manifest just means every output gets rebuilt.
+ */
+function loadManifest(outDir, warnings) {
+  const file = path.join(outDir, MANIFEST_FILENAME);
+  const empty = { version: MANIFEST_VERSION, options: null, outputs: {} };
+  if (!fs.existsSync(file)) return empty;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (data.version !== MANIFEST_VERSION || !isPlainObject(data.outputs)) return empty;
+    return data;
+  } catch {
+    warnings.push(`Ignoring unreadable ${MANIFEST_FILENAME}; all outputs will be rebuilt`);
+    return empty;
+  }
+}
+
+/**
+ * Write the manifest atomically so a killed run never leaves it half-written.
+ */
+function saveManifest(outDir, manifest) {
+  const file = path.join(outDir, MANIFEST_FILENAME);
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Describe everything an output depends on: its source clips (with size and
+ * mtime) and subtitle files, trims, overlay text, music, logo, and the run-wide render options.
+ * Two runs that produce the same `key` produce the same file.
+ */
+function comboFingerprint(combo, trimMap, renderOpts) {
+  const entry = {
+    inputs: combo.parts.map(p => ({
+      label: p.label,
+      path: p.video.path,
+      ...fileSignature(p.video.path),
+      trim: trimMap[p.label] || null,
+      ...(p.video.kind !== 'video' && { duration: p.video.duration }),
+      // Shipped subtitles only matter when captions are on
+      ...(renderOpts.captions && p.video.subtitles && {
+        subtitles: { path: p.video.subtitles, ...fileSignature(p.video.subtitles) },
+      }),
+    })),
+    music: combo.music ? { path: combo.music.path, ...fileSignature(combo.music.path) } : null,
+    overlayText: combo.overlayText || null,
+    format: combo.format,
+    // Only present when used, so outputs from earlier runs without one stay up to date
+    ...(combo.logo && { logo: { path: combo.logo.path, ...fileSignature(combo.logo.path) } }),
+  };
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify({ ...entry, options: renderOpts }))
+    .digest('hex');
+  return { key, ...entry };
+}
+
+function isUpToDate(combo, manifest, outDir, { subtitles }) {
+  const entry = manifest.outputs[combo.name];
+  if (!entry || entry.key !== combo.fingerprint.key) return false;
+  // Rendered while some of its captions failed; the next run tries them again
+  if (entry.captionsFailed) return false;
+  if (!fs.existsSync(path.join(outDir, combo.name))) return false;
+  if (subtitles && !subtitlePaths(outDir, combo.name).every(file => fs.existsSync(file))) return false;
+  return true;
+}
+
+/**
+ * Whether an up-to-date output's thumbnail is missing or was taken at
+ * another time. Only the thumbnail is made again, not the video.
+ */
+function needsThumbnail(combo, manifest, outDir, thumbTime) {
+  const entry = manifest.outputs[combo.name];
+  return entry.thumbTime !== thumbTime || !fs.existsSync(thumbnailPath(outDir, combo.name));
+}
+
+/**
+ * Thumbnails sit in a thumbnails/ folder next to their video, so each
+ * format subfolder gets its own.
+ */
+function thumbnailPath(outDir, name) {
+  return path.join(outDir, path.dirname(name), 'thumbnails', `${path.basename(name, path.extname(name))}.jpg`);
+}
+
+/**
+ * Subtitle files written next to an output with --captions-mode sidecar/both.
+ */
+function subtitlePaths(outDir, name) {
+  const base = path.join(outDir, path.dirname(name), path.basename(name, path.extname(name)));
+  return [`${base}.srt`, `${base}.vtt`];
+}
+
+module.exports = {
+  MANIFEST_FILENAME,
+  MANIFEST_VERSION,
+  loadManifest,
+  saveManifest,
+  comboFingerprint,
+  isUpToDate,
+  needsThumbnail,
+  thumbnailPath,
+  subtitlePaths,
+};
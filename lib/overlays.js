@@ -0,0 +1,331 @@
+const path = require('path');
+const fs = require('fs');
+const { isPlainObject } = require('./util');
+const { ConfigError } = require('./errors');
+
+// Margins the anchors keep from the frame edges, as fractions of the frame.
+// The bottom one is larger to stay clear of the platforms' captions and buttons.
+const SAFE_ZONE = { top: 0.08, bottom: 0.15, side: 0.05 };
+
+const ANCHORS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const LOGO_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const ANIMATIONS = ['none', 'fade', 'slide-up', 'slide-down', 'slide-left', 'slide-right'];
+
+// Values for layer keys left out of an overlay spec (and its "defaults")
+const LAYER_DEFAULTS = {
+  font: null,
+  size: 48,
+  color: 'white',
+  opacity: 1,
+  border: 2,
+  borderColor: 'black',
+  box: false,
+  wrap: 0.9,
+  lineSpacing: 1.25,
+  anchor: 'bottom',
+  margin: null,
+  x: null,
+  y: null,
+  during: null,
+  start: null,
+  end: null,
+  animate: 'none',
+  animDuration: 0.4,
+};
+
+const BOX_DEFAULTS = { color: 'black', opacity: 0.5, padding: 20 };
+
+// Average glyph width as a share of the font size, to wrap without measuring text
+const GLYPH_WIDTH = 0.55;
+
+// Replaced with the combo's --overlay text, so a spec can style overlay variations
+const OVERLAY_PLACEHOLDER = '{overlay}';
+
+const round = n => Math.round(n * 1000) / 1000;
+
+/**
+ * Escape text for a drawtext value inside the double-quoted -filter_complex
+ * argument: filter syntax first, then the shell.
+ */
+function escapeDrawtext(text) {
+  return text
+    .replace(/\\/g, '\\\\').replace(/'/g, "'\\''").replace(/:/g, '\\:')
+    .replace(/["$`\\]/g, '\\$&');
+}
+
+/**
+ * Build the drawtext filter for a combo's --overlay text.
+ */
+function drawtextFilter(text, opts) {
+  const pos = opts.overlayPos || 'bottom';
+  const size = opts.overlaySize || '48';
+  const color = opts.overlayColor || 'white';
+  let yExpr;
+  if (pos === 'top') yExpr = `h*${SAFE_ZONE.top}`;
+  else if (pos === 'center') yExpr = '(h-text_h)/2';
+  else yExpr = `h*${1 - SAFE_ZONE.bottom}`;
+  return `drawtext=text='${escapeDrawtext(text)}':expansion=none:fontsize=${size}:fontcolor=${color}:x=(w-text_w)/2:y=${yExpr}:borderw=2:bordercolor=black`;
+}
+
+/**
+ * A font setting as drawtext takes it: { file } when the value looks like a
+ * font file (resolved against `baseDir`), otherwise { family } for
+ * fontconfig. Null when the file doesn't exist.
+ */
+function resolveFont(font, baseDir) {
+  if (!/[\\/]|\.(ttf|otf|ttc)$/i.test(font)) return { family: font };
+  const file = path.resolve(baseDir, font);
+  return fs.existsSync(file) ? { file } : null;
+}
+
+/**
+ * Read an overlay spec — a JSON file path, or the parsed object — into a
+ * list of validated text layers. The spec is a list of layers, or
+ * { defaults, layers } where `defaults` applies to every layer. Font paths
+ * are relative to the spec file. Throws ConfigError naming the bad key.
+ */
+function parseOverlaySpec(spec, labels) {
+  if (!spec) return [];
+  let raw = spec;
+  let file = null;
+  let baseDir = process.cwd();
+  if (typeof spec === 'string') {
+    file = path.resolve(spec);
+    if (!fs.existsSync(file)) {
+      throw new ConfigError(`Overlay spec not found: ${file}`, { file });
+    }
+    baseDir = path.dirname(file);
+  }
+  const rel = file ? path.relative(process.cwd(), file) || file : 'overlay spec';
+  const fail = (msg) => {
+    throw new ConfigError(`Invalid overlay spec ${rel}: ${msg}`, { file });
+  };
+  if (file) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (e) {
+      fail(e.message);
+    }
+  }
+
+  if (Array.isArray(raw)) raw = { layers: raw };
+  if (!isPlainObject(raw)) fail('must be a list of layers or an object with "layers"');
+  for (const key of Object.keys(raw)) {
+    if (key !== 'defaults' && key !== 'layers') fail(`unknown key "${key}"`);
+  }
+  const defaults = raw.defaults === undefined ? {} : raw.defaults;
+  if (!isPlainObject(defaults)) fail('"defaults" must be an object');
+  if (!Array.isArray(raw.layers) || !raw.layers.length) fail('"layers" must be a non-empty list');
+
+  const readLayer = (entry, where) => {
+    if (!isPlainObject(entry)) fail(`"${where}" must be an object`);
+    const layer = { ...LAYER_DEFAULTS };
+    for (const [source, values] of [['defaults', defaults], [where, entry]]) {
+      for (const [key, value] of Object.entries(values)) {
+        if (key !== 'text' && !(key in LAYER_DEFAULTS)) fail(`unknown key "${source}.${key}"`);
+        layer[key] = value;
+      }
+    }
+    const bad = (key, msg) => fail(`"${where}.${key}" ${msg}, got: ${JSON.stringify(layer[key])}`);
+    const isNumber = v => typeof v === 'number' && isFinite(v);
+    const isText = v => typeof v === 'string' && v.trim() !== '';
+
+    if (!isText(layer.text)) bad('text', 'must be a non-empty string');
+    if (layer.font !== null) {
+      if (!isText(layer.font)) bad('font', 'must be a font file or family name');
+      const font = resolveFont(layer.font, baseDir);
+      if (!font) bad('font', 'is not an existing font file');
+      layer.font = font;
+    }
+    if (!isNumber(layer.size) || layer.size <= 0) bad('size', 'must be a positive number');
+    if (!isText(layer.color)) bad('color', 'must be a color name or hex value');
+    if (!isText(layer.borderColor)) bad('borderColor', 'must be a color name or hex value');
+    if (!isNumber(layer.opacity) || layer.opacity < 0 || layer.opacity > 1) bad('opacity', 'must be between 0 and 1');
+    if (!isNumber(layer.border) || layer.border < 0) bad('border', 'must be 0 or more');
+    if (layer.box === true) layer.box = { ...BOX_DEFAULTS };
+    else if (isPlainObject(layer.box)) {
+      const box = { ...BOX_DEFAULTS, ...layer.box };
+      if (Object.keys(box).length !== Object.keys(BOX_DEFAULTS).length) bad('box', `only takes ${Object.keys(BOX_DEFAULTS).join(', ')}`);
+      if (!isText(box.color)) bad('box', 'needs a "color"');
+      if (!isNumber(box.opacity) || box.opacity < 0 || box.opacity > 1) bad('box', 'needs an "opacity" between 0 and 1');
+      if (!isNumber(box.padding) || box.padding < 0) bad('box', 'needs a "padding" of 0 or more');
+      layer.box = box;
+    } else if (layer.box !== false && layer.box !== null) bad('box', 'must be true, false or { color, opacity, padding }');
+    if (layer.wrap !== false && (!isNumber(layer.wrap) || layer.wrap <= 0 || layer.wrap > 1)) {
+      bad('wrap', 'must be false or a share of the frame width (0-1)');
+    }
+    if (!isNumber(layer.lineSpacing) || layer.lineSpacing < 1) bad('lineSpacing', 'must be 1 or more');
+    if (!ANCHORS.includes(layer.anchor)) bad('anchor', `must be one of: ${ANCHORS.join(', ')}`);
+    if (layer.margin !== null && (!isNumber(layer.margin) || layer.margin < 0 || layer.margin >= 0.5)) {
+      bad('margin', 'must be a share of the frame from 0 to 0.5');
+    }
+    for (const key of ['x', 'y']) {
+      if (layer[key] !== null && (!isNumber(layer[key]) || layer[key] < 0)) {
+        bad(key, 'must be pixels, or a share of the frame from 0 to 1');
+      }
+    }
+    if (layer.during !== null && !labels.includes(layer.during)) {
+      bad('during', `must be a segment label (${labels.join(', ')})`);
+    }
+    for (const key of ['start', 'end']) {
+      if (layer[key] === null) continue;
+      if (!isNumber(layer[key])) bad(key, 'must be a number of seconds');
+      // Within a segment, negative times count back from the segment's end
+      if (layer.during === null && layer[key] < 0) bad(key, 'can only be negative together with "during"');
+    }
+    if (layer.start !== null && layer.end !== null && Math.sign(layer.start) === Math.sign(layer.end) && layer.end <= layer.start) {
+      bad('end', 'must be after "start"');
+    }
+    if (!ANIMATIONS.includes(layer.animate)) bad('animate', `must be one of: ${ANIMATIONS.join(', ')}`);
+    if (!isNumber(layer.animDuration) || layer.animDuration <= 0) bad('animDuration', 'must be a positive number of seconds');
+    return layer;
+  };
+
+  return raw.layers.map((entry, i) => readLayer(entry, `layers[${i}]`));
+}
+
+/**
+ * Split text into lines of at most `maxChars`, breaking between words.
+ * Line breaks already in the text are kept.
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && `${line} ${word}`.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * When a layer shows in a combo: { from, to } in seconds (`to` null for
+ * "until the end"), or null when that window is empty. `times` holds each
+ * segment's { start, end }, in label order.
+ */
+function layerWindow(layer, labels, times) {
+  const length = times.length ? times[times.length - 1].end : null;
+  let from = layer.start !== null ? layer.start : 0;
+  let to = layer.end !== null ? layer.end : null;
+  if (layer.during !== null) {
+    const seg = times[labels.indexOf(layer.during)];
+    const at = t => (t < 0 ? seg.end + t : seg.start + t);
+    from = Math.max(seg.start, layer.start !== null ? at(layer.start) : seg.start);
+    to = Math.min(seg.end, layer.end !== null ? at(layer.end) : seg.end);
+  }
+  if (to !== null && length !== null) to = Math.min(to, length);
+  if (to !== null && to <= from) return null;
+  return { from: round(from), to: to !== null ? round(to) : null };
+}
+
+/**
+ * drawtext filters (one per line of text) for a combo's overlay spec
+ * layers, ready to join with commas. `times` comes from segmentTimes().
+ */
+function textLayerFilters(layers, { format, labels, times, overlayText }) {
+  const filters = [];
+  for (const layer of layers) {
+    if (layer.text.includes(OVERLAY_PLACEHOLDER) && !overlayText) continue;
+    const window = layerWindow(layer, labels, times);
+    if (!window) continue;
+    const { from, to } = window;
+
+    const text = layer.text.split(OVERLAY_PLACEHOLDER).join(overlayText || '');
+    const lines = layer.wrap
+      ? wrapText(text, Math.max(1, Math.floor((format.width * layer.wrap) / (layer.size * GLYPH_WIDTH))))
+      : text.split('\n');
+    const lineHeight = Math.round(layer.size * layer.lineSpacing);
+    const blockHeight = lineHeight * (lines.length - 1) + layer.size;
+    const margin = edge => (layer.margin !== null ? layer.margin : SAFE_ZONE[edge]);
+    const place = (v, size) => (v <= 1 ? `${size}*${v}` : `${v}`);
+
+    let top;
+    if (layer.y !== null) top = place(layer.y, 'h');
+    else if (layer.anchor.startsWith('top')) top = `h*${margin('top')}`;
+    else if (layer.anchor.startsWith('bottom')) top = `h*${round(1 - margin('bottom'))}-${blockHeight}`;
+    else top = `(h-${blockHeight})/2`;
+
+    let left;
+    if (layer.x !== null) left = place(layer.x, 'w');
+    else if (layer.anchor.endsWith('left')) left = `w*${margin('side')}`;
+    else if (layer.anchor.endsWith('right')) left = `w*${round(1 - margin('side'))}-text_w`;
+    else left = '(w-text_w)/2';
+
+    // Animations run over the first (and for fades, last) moments of the window
+    const d = round(to !== null ? Math.min(layer.animDuration, (to - from) / 2) : layer.animDuration);
+    const progress = `min(1,(t-${from})/${d})`;
+    const slide = `max(0,1-(t-${from})/${d})*${Math.round(layer.size * 1.5)}`;
+    let alpha = layer.opacity < 1 ? `${layer.opacity}` : null;
+    if (layer.animate !== 'none') {
+      alpha = `${layer.opacity}*${progress}`;
+      if (layer.animate === 'fade' && to !== null) alpha += `*min(1,(${to}-t)/${d})`;
+    }
+    if (layer.animate === 'slide-up') top = `${top}+${slide}`;
+    if (layer.animate === 'slide-down') top = `${top}-${slide}`;
+    if (layer.animate === 'slide-left') left = `${left}+${slide}`;
+    if (layer.animate === 'slide-right') left = `${left}-${slide}`;
+
+    const style = [`fontsize=${layer.size}`, `fontcolor=${layer.color}`];
+    if (layer.font && layer.font.file) style.push(`fontfile='${escapeDrawtext(layer.font.file)}'`);
+    if (layer.font && layer.font.family) style.push(`font='${escapeDrawtext(layer.font.family)}'`);
+    if (layer.border > 0) style.push(`borderw=${layer.border}`, `bordercolor=${layer.borderColor}`);
+    if (layer.box) style.push('box=1', `boxcolor=${layer.box.color}@${layer.box.opacity}`, `boxborderw=${layer.box.padding}`);
+    if (alpha) style.push(`alpha='${alpha}'`);
+    if (to !== null) style.push(`enable='between(t,${from},${to})'`);
+    else if (from > 0) style.push(`enable='gte(t,${from})'`);
+
+    lines.forEach((line, i) => {
+      if (!line) return;
+      const y = i ? `${top}+${i * lineHeight}` : top;
+      filters.push(`drawtext=text='${escapeDrawtext(line)}':expansion=none:${style.join(':')}:x='${left}':y='${y}'`);
+    });
+  }
+  return filters;
+}
+
+/**
+ * Filters placing a combo's logo (ffmpeg input `logoInput`) over `base`:
+ * scaled to a share of the frame width, in a corner, keeping the image's
+ * transparency. Returns the output label.
+ */
+function logoFilters(logoInput, base, logo, format) {
+  const width = Math.max(2, Math.round((format.width * logo.scale) / 2) * 2);
+  const margin = Math.round(format.width * logo.margin);
+  const x = logo.pos.endsWith('left') ? margin : `W-w-${margin}`;
+  const y = logo.pos.startsWith('top') ? margin : `H-h-${margin}`;
+  const prep = ['format=rgba', `scale=${width}:-1`];
+  if (logo.opacity < 1) prep.push(`colorchannelmixer=aa=${logo.opacity}`);
+  let enable = '';
+  if (logo.end !== null) enable = `:enable='between(t,${logo.start},${logo.end})'`;
+  else if (logo.start > 0) enable = `:enable='gte(t,${logo.start})'`;
+  return {
+    filters: [
+      `[${logoInput}:v]${prep.join(',')}[logo]`,
+      `${base}[logo]overlay=x=${x}:y=${y}:format=auto${enable}[logov]`,
+    ],
+    output: '[logov]',
+  };
+}
+
+module.exports = {
+  SAFE_ZONE,
+  ANCHORS,
+  LOGO_POSITIONS,
+  ANIMATIONS,
+  OVERLAY_PLACEHOLDER,
+  LAYER_DEFAULTS,
+  escapeDrawtext,
+  drawtextFilter,
+  resolveFont,
+  parseOverlaySpec,
+  wrapText,
+  textLayerFilters,
+  logoFilters,
+};
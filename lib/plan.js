@@ -0,0 +1,543 @@
+const path = require('path');
+const { sanitizeFilename, cartesian, applyNaming, isInsideDir } = require('./util');
+const { getVideos, getAudioFiles, getImage, getImages, parseOverlays, parseTrim, trimmedDuration, parseSegments } = require('./sources');
+const { getVideoDuration } = require('./ffmpeg');
+const { parseFit, parseFocus, parseFormats } = require('./formats');
+const { SAMPLE_DESIGNS, DEFAULT_SEED, decodeComboIndex, sampleCombinations } = require('./sampling');
+const { parseRules, comboRejection } = require('./rules');
+const { parseTransitions, joinedDuration } = require('./transitions');
+const { DEFAULT_MUSIC_VOLUME, parseLoudness } = require('./audio');
+const { LOGO_POSITIONS, OVERLAY_PLACEHOLDER, parseOverlaySpec } = require('./overlays');
+const { parseCaptionOptions } = require('./captions');
+const { DEFAULT_ENCODING, parseEncoding } = require('./encoding');
+const { parsePlatform, platformViolations } = require('./platforms');
+const { parseJobs } = require('./jobs');
+const { parseColumns } = require('./export');
+const { MANIFEST_VERSION, loadManifest, comboFingerprint, isUpToDate, needsThumbnail } = require('./manifest');
+const { DRAFT_DIRNAME, DRAFT_PRESET, draftScale, draftFormat, draftEncoding, draftPixels, draftLayer } = require('./draft');
+const { STORYBOARD_DIRNAME, parseStoryboardFrames } = require('./storyboard');
+const { ValidationError } = require('./errors');
+
+/**
+ * Values for options left out. Option names are the CLI flags in camelCase
+ * (--overlay-pos → overlayPos); the CLI shows these same defaults in --help.
+ */
+const DEFAULTS = {
+  output: './output',
+  width: 1080,
+  height: 1920,
+  fit: 'pad',
+  focalPoint: 'center',
+  preset: 'fast',
+  jobs: 'auto',
+  retries: 0,
+  design: 'random',
+  seed: DEFAULT_SEED,
+  overlayPos: 'bottom',
+  overlaySize: 48,
+  overlayColor: 'white',
+  thumbTime: 0,
+  imageDuration: 3,
+  captionStyle: 'classic',
+  captionsMode: 'burn',
+  captionsFallback: 'whisper',
+  musicVolume: DEFAULT_MUSIC_VOLUME,
+  musicFadeIn: 0,
+  musicFadeOut: 0,
+  musicStart: 0,
+  logoPos: 'top-right',
+  logoMargin: 0.04,
+  logoScale: 0.2,
+  logoOpacity: 1,
+  export: true,
+  gallery: true,
+  storyboardFrames: 4,
+};
+
+// Base combinations above this get a warning in the plan
+const LARGE_RUN = 5000;
+
+// Tags objects returned by planCombos() so render() can take one as-is
+const PLAN = Symbol('adblitz.plan');
+
+function isPlan(value) {
+  return value != null && value[PLAN] === true;
+}
+
+function nonNegative(value, flag) {
+  const n = Number(value);
+  if (value === '' || !isFinite(n) || n < 0) {
+    throw new ValidationError(`${flag} must be a number (0 or more), got: ${value}`);
+  }
+  return n;
+}
+
+/**
+ * Work out every output a run would produce — segments, rules, sampling,
+ * overlays, music, names and formats — and which of them are already up to
+ * date in the output folder. Reads clip folders, clip lengths (via ffprobe)
+ * and the run manifest, but never renders or writes anything. Throws
+ * ValidationError on bad options.
+ */
+function planCombos(config = {}) {
+  const warnings = [];
+  const given = Object.fromEntries(Object.entries(config).filter(([, v]) => v !== undefined));
+  const opts = { ...DEFAULTS, ...given };
+
+  // ── Determine segments ─────────────────────────────────────────────────
+  let segments = []; // array of { label, videos }
+  if (opts.segments && Object.keys(opts.segments).length) {
+    if (opts.hooks || opts.ctas || opts.bodies) {
+      warnings.push('--segments provided; ignoring --hooks/--bodies/--ctas flags');
+    }
+    segments = parseSegments(opts.segments, warnings);
+  } else {
+    // Classic mode - need at least hooks and ctas
+    if (!opts.hooks || !opts.ctas) {
+      throw new ValidationError('You need at least --hooks and --ctas (or use --segments or a config file)', {
+        hint: 'Example: adblitz --hooks ./hooks --ctas ./ctas\nExample: adblitz --segments hook:./hooks body:./bodies cta:./ctas',
+      });
+    }
+    segments.push({ label: 'hook', videos: getVideos(opts.hooks, 'Hooks', warnings) });
+    if (opts.bodies) segments.push({ label: 'body', videos: getVideos(opts.bodies, 'Bodies', warnings) });
+    segments.push({ label: 'cta', videos: getVideos(opts.ctas, 'CTAs', warnings) });
+  }
+
+  // Images and cards without a duration of their own show for --image-duration
+  const imageDuration = Number(opts.imageDuration);
+  if (opts.imageDuration === '' || !(imageDuration > 0)) {
+    throw new ValidationError(`--image-duration must be a positive number of seconds, got: ${opts.imageDuration}`);
+  }
+  for (const seg of segments) {
+    seg.videos = seg.videos.map(v => (v.kind !== 'video' && v.duration === null ? { ...v, duration: imageDuration } : v));
+  }
+  const hasImages = segments.some(seg => seg.videos.some(v => v.kind === 'image'));
+  if (opts.kenBurns && !hasImages) warnings.push('--ken-burns only applies to images in segment folders; ignoring');
+
+  // Trim specs: the trim map first, --trim-* options override
+  const trimMap = {}; // label -> trim spec
+  for (const [label, spec] of Object.entries(opts.trim || {})) {
+    trimMap[label] = parseTrim(String(spec), `trim.${label}`);
+  }
+  if (opts.trimHook) trimMap['hook'] = parseTrim(String(opts.trimHook), '--trim-hook');
+  if (opts.trimBody) trimMap['body'] = parseTrim(String(opts.trimBody), '--trim-body');
+  if (opts.trimCta) trimMap['cta'] = parseTrim(String(opts.trimCta), '--trim-cta');
+
+  // ── Platform preset and encoding ───────────────────────────────────
+  // The platform sets the frame size (unless --width/--height are given)
+  // and encoding; encoding flags override it
+  const platform = parsePlatform(opts.platform);
+  let encoding = parseEncoding(opts, platform, warnings);
+  if (opts.skipViolations && !platform) warnings.push('--skip-violations needs --platform; ignoring');
+
+  // ── Scheduling ─────────────────────────────────────────────────────
+  const jobs = parseJobs(opts.jobs);
+  const retries = Number(opts.retries);
+  if (opts.retries === '' || !Number.isInteger(retries) || retries < 0) {
+    throw new ValidationError(`--retries must be a whole number (0 or more), got: ${opts.retries}`);
+  }
+  const timeout = opts.timeout === undefined ? null : Number(opts.timeout);
+  if (timeout !== null && (opts.timeout === '' || !(timeout > 0))) {
+    throw new ValidationError(`--timeout must be a positive number of seconds, got: ${opts.timeout}`);
+  }
+
+  // ── Validate width/height ──────────────────────────────────────────
+  const w = parseInt(platform && given.width === undefined ? platform.width : opts.width, 10);
+  const h = parseInt(platform && given.height === undefined ? platform.height : opts.height, 10);
+  if (isNaN(w) || w <= 0 || w % 2 !== 0) {
+    throw new ValidationError(`--width must be a positive even number, got: ${opts.width}`);
+  }
+  if (isNaN(h) || h <= 0 || h % 2 !== 0) {
+    throw new ValidationError(`--height must be a positive even number, got: ${opts.height}`);
+  }
+
+  // ── Output formats ─────────────────────────────────────────────────
+  const defaultFit = { fit: parseFit(opts.fit, '--fit'), focus: parseFocus(opts.focalPoint, '--focal-point') };
+  let formats;
+  if (opts.formats) {
+    if (given.width !== undefined || given.height !== undefined) {
+      warnings.push('--formats provided; ignoring --width/--height');
+    }
+    if (platform) warnings.push(`--formats provided; ignoring ${platform.title}'s ${platform.width}×${platform.height} size`);
+    formats = parseFormats(opts.formats, defaultFit);
+  } else {
+    // Single format: outputs go straight into the output folder
+    formats = [{ name: null, width: w, height: h, ...defaultFit }];
+  }
+
+  // ── Draft previews and storyboards ─────────────────────────────────
+  // Drafts shrink every format and whatever is sized in pixels with it
+  if (opts.draft && opts.storyboard) warnings.push('--storyboard provided; ignoring --draft');
+  const draft = !!opts.draft && !opts.storyboard;
+  let scale = 1;
+  let preset = opts.preset;
+  let overlaySize = opts.overlaySize;
+  if (draft) {
+    const encodingFlags = {
+      preset: '--preset', codec: '--codec', crf: '--crf', bitrate: '--bitrate',
+      pixFmt: '--pix-fmt', audioBitrate: '--audio-bitrate', container: '--container', maxSize: '--max-size',
+    };
+    const ignored = Object.keys(encodingFlags).filter(key => given[key] !== undefined).map(key => encodingFlags[key]);
+    if (ignored.length) warnings.push(`--draft renders fast H.264 previews; ignoring ${ignored.join('/')}`);
+    encoding = draftEncoding(encoding);
+    preset = DRAFT_PRESET;
+    scale = draftScale(formats);
+    formats = formats.map(format => draftFormat(format, scale));
+    if (isFinite(Number(overlaySize))) overlaySize = draftPixels(Number(overlaySize), scale);
+    for (const seg of segments) {
+      seg.videos = seg.videos.map(v => (v.kind === 'card' ? { ...v, card: { ...v.card, size: draftPixels(v.card.size, scale) } } : v));
+    }
+  }
+  const storyboard = opts.storyboard ? { frames: parseStoryboardFrames(opts.storyboardFrames) } : null;
+  if (!storyboard && given.storyboardFrames !== undefined) warnings.push('--storyboard-frames needs --storyboard; ignoring');
+
+  // ── Resolve music, overlays and extra manifest columns ─────────────
+  const musicFiles = getAudioFiles(opts.music);
+  if (opts.musicAll && musicFiles.length === 0) {
+    warnings.push('--music-all specified but no music provided; ignoring');
+  }
+  const musicMix = {
+    volume: nonNegative(opts.musicVolume, '--music-volume'),
+    fadeIn: nonNegative(opts.musicFadeIn, '--music-fade-in'),
+    fadeOut: nonNegative(opts.musicFadeOut, '--music-fade-out'),
+    start: nonNegative(opts.musicStart, '--music-start'),
+    duck: !!opts.duck,
+  };
+  const mixOptions = ['musicVolume', 'musicFadeIn', 'musicFadeOut', 'musicStart', 'duck'];
+  if (!musicFiles.length && mixOptions.some(key => given[key] !== undefined)) {
+    warnings.push('--music-volume/--music-fade-*/--music-start/--duck need --music; ignoring');
+  }
+  const loudness = parseLoudness(opts.loudness);
+
+  // Logos: one image on every output, or a folder of them as a variation
+  if (opts.logo && opts.logoDir) {
+    warnings.push('--logo-dir provided; ignoring --logo');
+  }
+  const logos = opts.logoDir ? getImages(opts.logoDir, '--logo-dir') : [getImage(opts.logo, '--logo')].filter(Boolean);
+  const logoOptions = ['logoPos', 'logoMargin', 'logoScale', 'logoOpacity', 'logoStart', 'logoEnd'];
+  if (!logos.length && logoOptions.some(key => given[key] !== undefined)) {
+    warnings.push('--logo-pos/--logo-margin/--logo-scale/--logo-opacity/--logo-start/--logo-end need --logo or --logo-dir; ignoring');
+  }
+  if (!LOGO_POSITIONS.includes(opts.logoPos)) {
+    throw new ValidationError(`--logo-pos must be one of: ${LOGO_POSITIONS.join(', ')}, got: ${opts.logoPos}`);
+  }
+  const logo = {
+    pos: opts.logoPos,
+    margin: nonNegative(opts.logoMargin, '--logo-margin'),
+    scale: nonNegative(opts.logoScale, '--logo-scale'),
+    opacity: nonNegative(opts.logoOpacity, '--logo-opacity'),
+    start: opts.logoStart !== undefined ? nonNegative(opts.logoStart, '--logo-start') : 0,
+    end: opts.logoEnd !== undefined ? nonNegative(opts.logoEnd, '--logo-end') : null,
+  };
+  if (logo.margin >= 0.5) throw new ValidationError(`--logo-margin must be a share of the frame width below 0.5, got: ${opts.logoMargin}`);
+  if (!(logo.scale > 0 && logo.scale <= 1)) throw new ValidationError(`--logo-scale must be a share of the frame width (0-1), got: ${opts.logoScale}`);
+  if (logo.opacity > 1) throw new ValidationError(`--logo-opacity must be between 0 and 1, got: ${opts.logoOpacity}`);
+  if (logo.end !== null && logo.end <= logo.start) {
+    throw new ValidationError(`--logo-end (${logo.end}) must be after --logo-start (${logo.start})`);
+  }
+
+  const overlays = parseOverlays(opts.overlay, opts.overlays);
+  const captions = parseCaptionOptions(opts);
+  const captionOptions = ['captionStyle', 'captionPosition', 'captionWords', 'karaoke', 'captionHighlight', 'captionsMode', 'captionsFallback'];
+  if (!opts.captions && captionOptions.some(key => given[key] !== undefined)) {
+    warnings.push('--caption-*/--captions-*/--karaoke need --captions; ignoring');
+  }
+  const columns = parseColumns(opts.column);
+
+  // ── Sampling options ───────────────────────────────────────────────
+  let maxCombos = null;
+  if (opts.max !== undefined) {
+    maxCombos = Number(opts.max);
+    if (!Number.isInteger(maxCombos) || maxCombos <= 0) {
+      throw new ValidationError(`--max must be a positive whole number, got: ${opts.max}`);
+    }
+  }
+  const seed = Number(opts.seed);
+  if (!Number.isInteger(seed) || seed < 0) {
+    throw new ValidationError(`--seed must be a whole number (0 or more), got: ${opts.seed}`);
+  }
+  if (!SAMPLE_DESIGNS.includes(opts.design)) {
+    throw new ValidationError(`--design must be one of: ${SAMPLE_DESIGNS.join(', ')}, got: ${opts.design}`);
+  }
+  if (!maxCombos && (given.seed !== undefined || given.design !== undefined)) {
+    warnings.push('--seed/--design only apply together with --max; ignoring');
+  }
+
+  // ── Build combinations (cartesian product of all segments) ─────────
+  const videoArrays = segments.map(s => s.videos);
+  const labels = segments.map(s => s.label);
+  const totalCombos = videoArrays.reduce((n, arr) => n * arr.length, 1);
+
+  // ── Overlay spec (text layers) ─────────────────────────────────────
+  let textLayers = parseOverlaySpec(opts.overlaySpec, labels);
+  if (draft) textLayers = textLayers.map(layer => draftLayer(layer, scale));
+  if (!overlays.length && textLayers.some(layer => layer.text.includes(OVERLAY_PLACEHOLDER))) {
+    warnings.push(`Overlay spec layers using ${OVERLAY_PLACEHOLDER} need --overlay or --overlays; skipping them`);
+  }
+
+  // ── Transitions and clip lengths ───────────────────────────────────
+  const transitions = parseTransitions(opts.transition, opts.transitionAt, labels);
+  const clipLengths = new Map(); // video -> seconds after trimming, null if unknown
+  for (const seg of segments) {
+    for (const v of seg.videos) {
+      const length = v.kind === 'video' ? getVideoDuration(v.path) : v.duration;
+      clipLengths.set(v, trimmedDuration(length, trimMap[seg.label]));
+    }
+  }
+
+  // ── Apply include/exclude rules and tag compatibility ──────────────
+  const rules = parseRules(opts.exclude, opts.require, labels);
+  const hasTags = videoArrays.some(arr => arr.some(v => v.tags.length));
+  const filtered = { excluded: 0, required: 0, tags: 0 };
+  let allowed = null; // combination indices that pass, when filtering
+  if (rules.exclude.length || rules.require.length || hasTags) {
+    const lengths = videoArrays.map(arr => arr.length);
+    allowed = [];
+    for (let index = 0; index < totalCombos; index++) {
+      const videos = decodeComboIndex(index, lengths).map((j, i) => videoArrays[i][j]);
+      const reason = comboRejection(videos, labels, rules);
+      if (reason) filtered[reason]++;
+      else allowed.push(index);
+    }
+    if (!allowed.length) {
+      throw new ValidationError(`All ${totalCombos} combinations were filtered out by --exclude/--require rules or clip tags`);
+    }
+  }
+  const availableCombos = allowed ? allowed.length : totalCombos;
+
+  const sampling = maxCombos !== null && maxCombos < availableCombos;
+  let cartCombos;
+  if (sampling) {
+    cartCombos = sampleCombinations(videoArrays, maxCombos, { design: opts.design, seed, allowed });
+  } else if (allowed) {
+    const lengths = videoArrays.map(arr => arr.length);
+    cartCombos = allowed.map(index => decodeComboIndex(index, lengths).map((j, i) => videoArrays[i][j]));
+  } else {
+    cartCombos = cartesian(videoArrays);
+  }
+
+  // Attach labels to each combo
+  let combos = cartCombos.map(videos => ({
+    parts: videos.map((v, i) => ({ label: segments[i].label, video: v })),
+    // Transitions overlap neighbouring clips, so they shorten the result
+    duration: joinedDuration(videos.map(v => clipLengths.get(v)), transitions),
+  }));
+
+  if (combos.length > LARGE_RUN) {
+    warnings.push(`${combos.length} base combinations — this may take a very long time and use significant disk space. Use --max to render a sample instead.`);
+  }
+
+  // ── Multiply by overlays if any ────────────────────────────────────
+  if (overlays.length > 0) {
+    const expanded = [];
+    for (const combo of combos) {
+      for (const text of overlays) {
+        expanded.push({ ...combo, overlayText: text });
+      }
+    }
+    combos = expanded;
+  }
+
+  // ── Attach logos (every image in --logo-dir is a variation) ────────
+  if (logos.length) {
+    const expanded = [];
+    for (const combo of combos) {
+      for (const image of logos) {
+        expanded.push({ ...combo, logo: image });
+      }
+    }
+    combos = expanded;
+  }
+
+  // ── Multiply by music if --music-all ───────────────────────────────
+  if (musicFiles.length > 0 && opts.musicAll) {
+    const expanded = [];
+    for (const combo of combos) {
+      for (const track of musicFiles) {
+        expanded.push({ ...combo, music: track });
+      }
+    }
+    combos = expanded;
+  } else if (musicFiles.length > 0) {
+    // Assign round-robin track to each combo
+    combos = combos.map((combo, i) => ({
+      ...combo,
+      music: musicFiles[i % musicFiles.length]
+    }));
+  }
+
+  // ── Generate names (with dedup) ────────────────────────────────────
+  const defaultNaming = segments.map(s => `{${s.label}}`).join('_');
+  const namingTemplate = opts.naming || defaultNaming;
+
+  const usedNames = new Set();
+  combos = combos.map((combo, i) => {
+    let name = applyNaming(namingTemplate, combo.parts, i);
+    // Append overlay text hint if present
+    if (combo.overlayText) {
+      const slug = combo.overlayText.replace(/[^a-zA-Z0-9]+/g, '-').substring(0, 30);
+      name += `_${slug}`;
+    }
+    // Append logo name if --logo-dir
+    if (combo.logo && opts.logoDir) {
+      name += `_${combo.logo.name}`;
+    }
+    // Append music name if --music-all
+    if (combo.music && opts.musicAll) {
+      name += `_${combo.music.name}`;
+    }
+    // Sanitize the filename
+    name = sanitizeFilename(name);
+    // Deduplicate names
+    let finalName = name;
+    let counter = 1;
+    while (usedNames.has(finalName.toLowerCase())) {
+      finalName = `${name}_${counter}`;
+      counter++;
+    }
+    usedNames.add(finalName.toLowerCase());
+    return { ...combo, index: i, name: `${finalName}.${encoding.container}` };
+  });
+
+  // ── Multiply by output formats (one subfolder each) ────────────────
+  if (opts.formats) {
+    combos = combos.flatMap(combo => formats.map(format => ({
+      ...combo,
+      format,
+      name: `${format.name}/${combo.name}`,
+    })));
+  } else {
+    combos = combos.map(combo => ({ ...combo, format: formats[0] }));
+  }
+
+  // ── Check planned lengths against the platform's limits ────────────
+  const violations = []; // { name, problems, skipped }
+  if (platform) {
+    for (const combo of combos) {
+      const problems = platformViolations(platform, { duration: combo.duration });
+      if (problems.length) violations.push({ name: combo.name, problems, skipped: !!opts.skipViolations });
+    }
+    if (opts.skipViolations && violations.length) {
+      const skip = new Set(violations.map(v => v.name));
+      combos = combos.filter(combo => !skip.has(combo.name));
+      if (!combos.length) {
+        throw new ValidationError(`All ${violations.length} outputs break ${platform.title}'s limits, nothing left to render`, {
+          hint: `First problem: ${violations[0].name}: ${violations[0].problems[0]}`,
+        });
+      }
+    }
+  }
+
+  // ── Compare against the last run's manifest ────────────────────────
+  // Only outputs whose inputs or options changed get rendered again.
+  // Drafts and storyboards each keep to a subfolder of their own.
+  const subDir = draft ? DRAFT_DIRNAME : storyboard ? STORYBOARD_DIRNAME : '';
+  const outDir = path.join(path.resolve(opts.output), subDir);
+  const logDir = opts.logDir ? path.resolve(opts.logDir) : null;
+  const renderOpts = {
+    preset,
+    overlay: overlays.length
+      ? { pos: opts.overlayPos, size: String(overlaySize), color: opts.overlayColor }
+      : null,
+    captions: !!opts.captions,
+  };
+  // Thumbnails aren't part of the fingerprint: a new one doesn't need the video rendered again
+  const thumbTime = opts.thumbnails ? parseFloat(opts.thumbTime) || 0 : null;
+  // Only present when used, so outputs from earlier runs without them stay up to date
+  if (transitions.some(Boolean)) renderOpts.transitions = transitions;
+  if (musicFiles.length) renderOpts.musicMix = musicMix;
+  if (loudness) renderOpts.loudness = loudness;
+  if (textLayers.length) renderOpts.textLayers = textLayers;
+  if (logos.length) renderOpts.logo = logo;
+  if (opts.kenBurns && hasImages) renderOpts.kenBurns = true;
+  if (JSON.stringify(encoding) !== JSON.stringify(DEFAULT_ENCODING)) renderOpts.encoding = encoding;
+  if (opts.captions && JSON.stringify(captions) !== JSON.stringify(parseCaptionOptions(DEFAULTS))) {
+    renderOpts.captionStyle = captions;
+  }
+  // Storyboards keep no manifest: their sheets are redrawn from cached frames every run
+  const manifest = storyboard
+    ? { version: MANIFEST_VERSION, options: null, outputs: {} }
+    : loadManifest(outDir, warnings);
+  combos = combos.map(combo => ({ ...combo, fingerprint: comboFingerprint(combo, trimMap, renderOpts) }));
+  let toRender = opts.force
+    ? combos
+    : combos.filter(c => !isUpToDate(c, manifest, outDir, {
+      subtitles: opts.captions && captions.mode !== 'burn',
+    }));
+  const planned = new Set(combos.map(c => c.name));
+
+  // `only` limits the run to some outputs, e.g. the failures --retry-failed re-runs.
+  // The rest aren't counted as skipped: this run never looked at them.
+  let inScope = combos;
+  if (opts.only) {
+    if (!Array.isArray(opts.only) || opts.only.some(name => typeof name !== 'string')) {
+      throw new ValidationError('only must be a list of output names');
+    }
+    const only = new Set(opts.only);
+    const missing = opts.only.filter(name => !planned.has(name)).length;
+    if (missing) warnings.push(`${missing} of the outputs to re-run are no longer part of this run; skipping them`);
+    inScope = combos.filter(c => only.has(c.name));
+    toRender = toRender.filter(c => only.has(c.name));
+  }
+  // Up-to-date videos whose thumbnail is missing or out of date only get a new thumbnail
+  const pending = new Set(toRender.map(c => c.name));
+  const thumbnailOnly = thumbTime === null ? [] : inScope.filter(c =>
+    !pending.has(c.name) && needsThumbnail(c, manifest, outDir, thumbTime));
+  // Names come from our own manifest, but never follow one outside outDir.
+  // Videos left out by --skip-violations keep whatever an earlier run made.
+  const kept = new Set(violations.filter(v => v.skipped).map(v => v.name));
+  const stale = Object.keys(manifest.outputs)
+    .filter(name => !planned.has(name) && !kept.has(name) && isInsideDir(outDir, name));
+
+  return {
+    [PLAN]: true,
+    options: opts,
+    // Just the options the caller set, without the defaults
+    given,
+    outDir,
+    logDir,
+    segments,
+    labels,
+    trimMap,
+    formats,
+    overlays,
+    textLayers,
+    logos,
+    logo: logos.length ? logo : null,
+    musicFiles,
+    musicMix,
+    loudness,
+    captions: opts.captions ? captions : null,
+    draft,
+    storyboard,
+    platform,
+    encoding,
+    violations,
+    jobs,
+    retries,
+    timeout,
+    columns,
+    transitions,
+    namingTemplate,
+    clipLengths,
+    totalCombos,
+    availableCombos,
+    filtered,
+    sampling: sampling ? { max: maxCombos, design: opts.design, seed } : null,
+    combos,
+    toRender,
+    thumbnailOnly,
+    thumbTime,
+    skipped: inScope.length - toRender.length,
+    stale,
+    renderOpts,
+    manifest,
+    warnings,
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  planCombos,
+  isPlan,
+};
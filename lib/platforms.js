@@ -0,0 +1,94 @@
+const { ValidationError } = require('./errors');
+
+const MB = 1024 * 1024;
+
+/**
+ * Ad placements adblitz can target with --platform: the frame size and
+ * encoding each expects, and the duration and file size limits it enforces
+ * on upload. Bitrates are in kbps, sizes in bytes.
+ */
+const PLATFORMS = {
+  tiktok: {
+    title: 'TikTok',
+    width: 1080, height: 1920, fps: 30,
+    maxBitrate: 8000, audioRate: 44100, audioBitrate: 128,
+    minDuration: 5, maxDuration: 60, maxSize: 500 * MB,
+  },
+  reels: {
+    title: 'Instagram Reels',
+    width: 1080, height: 1920, fps: 30,
+    maxBitrate: 8000, audioRate: 48000, audioBitrate: 128,
+    minDuration: null, maxDuration: 90, maxSize: 4096 * MB,
+  },
+  stories: {
+    title: 'Stories',
+    width: 1080, height: 1920, fps: 30,
+    maxBitrate: 8000, audioRate: 48000, audioBitrate: 128,
+    minDuration: 1, maxDuration: 60, maxSize: 4096 * MB,
+  },
+  shorts: {
+    title: 'YouTube Shorts',
+    width: 1080, height: 1920, fps: 30,
+    maxBitrate: 10000, audioRate: 48000, audioBitrate: 192,
+    minDuration: null, maxDuration: 60, maxSize: 2048 * MB,
+  },
+  feed: {
+    title: 'Facebook/Instagram Feed',
+    width: 1080, height: 1350, fps: 30,
+    maxBitrate: 8000, audioRate: 48000, audioBitrate: 128,
+    minDuration: 1, maxDuration: 240 * 60, maxSize: 4096 * MB,
+  },
+};
+
+// Encoders can pad the last frame; don't flag a few hundredths of a second
+const DURATION_TOLERANCE = 0.05;
+
+function parsePlatform(name) {
+  if (!name) return null;
+  const platform = PLATFORMS[String(name).toLowerCase()];
+  if (!platform) {
+    throw new ValidationError(`Unknown platform: "${name}". Use one of: ${Object.keys(PLATFORMS).join(', ')}`);
+  }
+  return { name: String(name).toLowerCase(), ...platform };
+}
+
+/**
+ * The encoding settings a platform asks for, in the shape normalizeClip()
+ * and the final render take.
+ */
+function platformEncoding(platform) {
+  const { fps, audioRate, audioBitrate, maxBitrate } = platform;
+  return { fps, audioRate, audioBitrate, maxBitrate };
+}
+
+function formatBytes(bytes) {
+  if (bytes < MB) return `${Math.round(bytes / 1024)} KB`;
+  return bytes >= 1024 * MB ? `${Math.round((bytes / (1024 * MB)) * 10) / 10} GB` : `${Math.round((bytes / MB) * 10) / 10} MB`;
+}
+
+/**
+ * Every way a video breaks a platform's limits, as readable messages.
+ * Unknown values (null) are not checked.
+ */
+function platformViolations(platform, { duration = null, size = null }) {
+  const problems = [];
+  const secs = s => `${Math.round(s * 10) / 10}s`;
+  if (duration != null && platform.maxDuration != null && duration > platform.maxDuration + DURATION_TOLERANCE) {
+    problems.push(`${secs(duration)} is longer than ${platform.title}'s ${secs(platform.maxDuration)} limit`);
+  }
+  if (duration != null && platform.minDuration != null && duration < platform.minDuration - DURATION_TOLERANCE) {
+    problems.push(`${secs(duration)} is shorter than ${platform.title}'s ${secs(platform.minDuration)} minimum`);
+  }
+  if (size != null && platform.maxSize != null && size > platform.maxSize) {
+    problems.push(`${formatBytes(size)} is over ${platform.title}'s ${formatBytes(platform.maxSize)} file size limit`);
+  }
+  return problems;
+}
+
+module.exports = {
+  PLATFORMS,
+  parsePlatform,
+  platformEncoding,
+  platformViolations,
+  formatBytes,
+};
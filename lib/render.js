@@ -0,0 +1,809 @@
+const path = require('path');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { shellEscape, ensureDir, tempPath } = require('./util');
+const { getVideoDuration, hasAudioStream, checkFfmpeg, checkWhisper, runFfmpeg } = require('./ffmpeg');
+const { CACHE_DIRNAME, normalizedClipPath, clipLoudness, loudnessPath, normalizeClip, writeConcatList, pruneClipCache } = require('./clips');
+const { saveManifest, thumbnailPath, subtitlePaths } = require('./manifest');
+const { outputRows, writeExports } = require('./export');
+const { writeGallery } = require('./gallery');
+const { transitionFilters, joinedDuration, segmentTimes } = require('./transitions');
+const { OVERLAY_PLACEHOLDER, drawtextFilter, textLayerFilters, logoFilters } = require('./overlays');
+const { musicFilters, loudnormFilter, measureLoudness } = require('./audio');
+const { captionsPath, transcribeClip, clipSubtitles, comboCues, splitCues, formatSrt, formatVtt, formatAss, subtitlesFilter } = require('./captions');
+const { videoCodecArgs, audioCodecArgs, muxerArgs, sizeBitrate } = require('./encoding');
+const { formatBytes, platformViolations } = require('./platforms');
+const { runJobs } = require('./jobs');
+const { saveFailures } = require('./failures');
+const { storyboardName, frameTimes, framePath, grabFrames, writeContactSheet } = require('./storyboard');
+const { planCombos, isPlan } = require('./plan');
+const { DependencyError, FfmpegError, CancelledError } = require('./errors');
+
+// Everything a RenderJob emits; iterating a job yields these as { type, ...payload }
+const EVENTS = [
+  'clip:start', 'clip:progress', 'clip:retry', 'clip:done', 'clip:error',
+  'caption:start', 'caption:done', 'caption:error',
+  'combo:start', 'combo:progress', 'combo:retry', 'combo:done', 'combo:error',
+  'done',
+];
+
+/**
+ * Last few lines of an ffmpeg error, short enough for a one-line report.
+ */
+function shortError(e) {
+  return e.message.split('\n').slice(-3).join(' ').substring(0, 200);
+}
+
+/**
+ * A job's --log-dir file, <logDir>/<name>.log: each ffmpeg command the job
+ * runs with its whole output, then the error if it failed. Every attempt is
+ * appended, so a retried job shows all its tries. Does nothing without a
+ * log dir.
+ */
+function createJobLog(logDir, name) {
+  if (!logDir) return { file: null, onLog: null, attempt() {}, error() {} };
+  const file = path.join(logDir, `${name}.log`);
+  const append = text => fs.appendFileSync(file, text);
+  let attempts = 0;
+  return {
+    file,
+    attempt() {
+      attempts++;
+      const header = `# ${name}, attempt ${attempts}, ${new Date().toISOString()}\n`;
+      ensureDir(path.dirname(file));
+      if (attempts === 1) fs.writeFileSync(file, header);
+      else append(`\n${header}`);
+    },
+    onLog: (command, output) => append(`\n$ ${command}\n${output}`),
+    // An ffmpeg error is its output, which is already in the log
+    error: e => append(`\n✗ ${e instanceof FfmpegError ? 'ffmpeg failed' : e.message}\n`),
+  };
+}
+
+/**
+ * Run `task` as a job with a log: each attempt is recorded, and so is the
+ * error when one fails.
+ */
+function logged(log, task) {
+  return async signal => {
+    log.attempt();
+    try {
+      return await task(signal);
+    } catch (e) {
+      log.error(e);
+      throw e;
+    }
+  };
+}
+
+/** ffmpeg's position, kept within the planned length when there is one. */
+function capTime(time, duration) {
+  return duration ? Math.min(time, duration) : time;
+}
+
+/**
+ * A running render. Listen for events, await `done` for the summary, or
+ * iterate it with `for await`. Work starts on the next tick, so listeners
+ * attached right after render() returns see every event. `signal` aborts
+ * when the job is cancelled.
+ */
+class RenderJob extends EventEmitter {
+  constructor(plan, run) {
+    super();
+    this.plan = plan;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.done = new Promise(resolve => setImmediate(resolve)).then(() => run(this));
+    // Callers that only listen for events still hear about a failed run
+    this.done.catch(e => {
+      if (this.listenerCount('error')) this.emit('error', e);
+    });
+  }
+
+  /**
+   * Stop the render: running ffmpeg processes are killed and their partial
+   * files removed, and nothing new starts. `done` still resolves, with
+   * what didn't finish counted as cancelled.
+   */
+  cancel() {
+    if (!this.signal.aborted) this.controller.abort(new CancelledError('Render cancelled'));
+  }
+
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    let finished = false;
+    let failure = null;
+    let wake = null;
+    const notify = () => {
+      if (wake) wake();
+      wake = null;
+    };
+    const listeners = EVENTS.map(type => [type, payload => {
+      queue.push({ type, ...payload });
+      notify();
+    }]);
+    const detach = () => listeners.forEach(([type, fn]) => this.off(type, fn));
+    listeners.forEach(([type, fn]) => this.on(type, fn));
+    this.done.then(
+      () => { finished = true; notify(); },
+      e => { failure = e; finished = true; notify(); }
+    );
+
+    return {
+      next: async () => {
+        while (!queue.length && !finished) await new Promise(resolve => { wake = resolve; });
+        if (queue.length) return { value: queue.shift(), done: false };
+        detach();
+        if (failure) throw failure;
+        return { value: undefined, done: true };
+      },
+      return: async () => {
+        detach();
+        return { value: undefined, done: true };
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+}
+
+/**
+ * Render a plan (or plan one from options first), or with `storyboard` set
+ * draw its contact sheets instead. Validation and missing ffmpeg/whisper
+ * throw right away; everything after that is reported through the
+ * returned job.
+ */
+function render(config) {
+  const plan = isPlan(config) ? config : planCombos(config);
+  checkFfmpeg();
+  if (needsWhisper(plan) && !checkWhisper()) {
+    throw new DependencyError('whisper not found. Install: pip install openai-whisper');
+  }
+  return new RenderJob(plan, job => (plan.storyboard ? runStoryboards(plan, job) : runPlan(plan, job)));
+}
+
+/** Whether any clip has to be transcribed, i.e. has no subtitles of its own. */
+function needsWhisper(plan) {
+  return !!plan.captions && !plan.storyboard && plan.captions.fallback === 'whisper' &&
+    plan.toRender.some(combo => combo.parts.some(part => part.video.kind === 'video' && !part.video.subtitles));
+}
+
+/**
+ * Remove a two-pass encode's log files (x264 adds -0.log, .mbtree and the like).
+ */
+function removePassLogs(passlog) {
+  const dir = path.dirname(passlog);
+  const base = path.basename(passlog);
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return;
+  }
+  for (const f of entries) {
+    if (f === base || f.startsWith(`${base}-`) || f.startsWith(`${base}.`)) {
+      try { fs.unlinkSync(path.join(dir, f)); } catch {}
+    }
+  }
+}
+
+/**
+ * Grab the frame `time` seconds into a video as its thumbnail.
+ */
+function writeThumbnail(video, dest, time, { signal, onLog } = {}) {
+  return runFfmpeg(`ffmpeg -y -i ${shellEscape(video)} -ss ${time} -frames:v 1 -q:v 2 ${shellEscape(dest)} 2>&1`, { signal, onLog });
+}
+
+async function runPlan(plan, job) {
+  const { options: opts, outDir, logDir, formats, segments, combos, toRender, stale, manifest, trimMap, renderOpts } = plan;
+
+  ensureDir(outDir);
+  if (logDir) ensureDir(logDir);
+  for (const format of formats) {
+    const formatDir = path.join(outDir, format.name || '');
+    ensureDir(formatDir);
+    if (opts.thumbnails) ensureDir(path.join(formatDir, 'thumbnails'));
+  }
+
+  // ── Remove stale outputs, invalidate what's about to be rebuilt ────
+  for (const name of stale) {
+    for (const file of [path.join(outDir, name), thumbnailPath(outDir, name), ...subtitlePaths(outDir, name)]) {
+      try { fs.unlinkSync(file); } catch {}
+    }
+    delete manifest.outputs[name];
+  }
+  // An interrupted render must not look finished on the next run
+  for (const combo of toRender) delete manifest.outputs[combo.name];
+  manifest.options = renderOpts;
+  saveManifest(outDir, manifest);
+
+  let success = 0;
+  let cancelled = 0;
+  const errors = [];
+  const warnings = [];
+  const retried = []; // { name, attempts } for jobs that needed more than one try
+  const scheduling = { concurrency: plan.jobs, retries: plan.retries, timeout: plan.timeout, signal: job.signal };
+  const checked = new Map(); // output name -> platform problems found after rendering
+
+  if (toRender.length) {
+    // ── Pre-probe audio streams (needed to handle no-audio videos) ────
+    const audioProbeCache = new Map();
+    for (const seg of segments) {
+      for (const v of seg.videos) {
+        if (!audioProbeCache.has(v.path)) audioProbeCache.set(v.path, v.kind === 'video' && hasAudioStream(v.path));
+      }
+    }
+
+    // ── Normalize each unique source clip once ───────────────────────
+    const cacheDir = path.join(outDir, CACHE_DIRNAME);
+    ensureDir(cacheDir);
+
+    const clipPathMemo = new Map();
+    const clipPathFor = (part, format) => {
+      const memoKey = `${part.label}\0${part.video.path}\0${format.name}`;
+      if (!clipPathMemo.has(memoKey)) {
+        clipPathMemo.set(memoKey, normalizedClipPath(cacheDir, part.video, trimMap[part.label], format, {
+          preset: renderOpts.preset,
+          loudness: plan.loudness,
+          kenBurns: opts.kenBurns,
+          encoding: plan.encoding,
+        }));
+      }
+      return clipPathMemo.get(memoKey);
+    };
+
+    // A source clip as used by one segment (trims are per segment)
+    const partKey = part => `${part.label}\0${part.video.path}`;
+
+    // Each source clip is measured once per run (and cached across runs),
+    // however many formats and combos use it
+    const loudnessMemo = new Map();
+    const sourceLoudness = part => {
+      const memoKey = partKey(part);
+      if (!loudnessMemo.has(memoKey)) {
+        const measuring = audioProbeCache.get(part.video.path)
+          ? clipLoudness(cacheDir, part.video, trimMap[part.label], { signal: job.signal })
+          : Promise.resolve(null);
+        // A failed measurement is tried again by the next job that needs it
+        measuring.catch(() => loudnessMemo.delete(memoKey));
+        loudnessMemo.set(memoKey, measuring);
+      }
+      return loudnessMemo.get(memoKey);
+    };
+
+    const clipJobs = new Map(); // cache path -> { part, format } needing normalization
+    for (const combo of toRender) {
+      for (const part of combo.parts) {
+        const dest = clipPathFor(part, combo.format);
+        if (!clipJobs.has(dest) && !fs.existsSync(dest)) clipJobs.set(dest, { part, format: combo.format });
+      }
+    }
+
+    const clipErrors = new Map(); // cache path -> error message
+    const jobs = [...clipJobs];
+    const clipName = (part, format) => `${part.label} "${part.video.name}"${format.name ? ` (${format.name})` : ''}`;
+    const clipLogs = jobs.map(([, { part, format }]) =>
+      createJobLog(logDir, path.join('clips', `${part.label}-${part.video.name}${format.name ? `-${format.name}` : ''}`)));
+    await runJobs(
+      jobs.map(([dest, { part, format }], idx) => logged(clipLogs[idx], async signal => {
+        const duration = plan.clipLengths.get(part.video) || null;
+        job.emit('clip:start', { part, format, duration, total: jobs.length });
+        const measured = plan.loudness ? await sourceLoudness(part) : null;
+        return normalizeClip(part.video, trimMap[part.label], dest, {
+          format,
+          preset: renderOpts.preset,
+          hasAudio: audioProbeCache.get(part.video.path) || false,
+          loudness: plan.loudness,
+          measured,
+          kenBurns: opts.kenBurns,
+          encoding: plan.encoding,
+          signal,
+          onProgress: ({ time, speed }) => {
+            job.emit('clip:progress', { part, format, time: capTime(time, duration), duration, speed });
+          },
+          onLog: clipLogs[idx].onLog,
+        });
+      })),
+      {
+        ...scheduling,
+        onRetry: (idx, attempt, error) => {
+          const [, { part, format }] = jobs[idx];
+          job.emit('clip:retry', { part, format, attempt, error });
+        },
+      },
+      (completed, idx, result) => {
+        const [dest, { part, format }] = jobs[idx];
+        if (result.attempts > 1) retried.push({ name: clipName(part, format), attempts: result.attempts });
+        if (result.ok) {
+          job.emit('clip:done', { part, format, completed, total: jobs.length });
+        } else if (!result.cancelled) {
+          clipErrors.set(dest, shortError(result.error));
+          job.emit('clip:error', { part, format, error: result.error, log: clipLogs[idx].file, completed, total: jobs.length });
+        }
+      }
+    );
+
+    // ── Transcribe each source clip once ─────────────────────────────
+    // Clips that ship an .srt/.vtt use it; the rest fall back to whisper or nothing
+    const clipCaptions = new Map(); // part key -> cues ([] when transcription failed)
+    const captionFailures = new Set(); // part keys whose captions failed
+    if (plan.captions) {
+      const parts = new Map();
+      for (const combo of toRender) combo.parts.forEach(part => parts.set(partKey(part), part));
+      const captionJobs = [...parts.values()]
+        .filter(part => part.video.subtitles || (part.video.kind === 'video' && plan.captions.fallback === 'whisper'));
+      // whisper already uses every core, so clips are transcribed one at a time
+      await runJobs(
+        captionJobs.map(part => async signal => {
+          job.emit('caption:start', { part, total: captionJobs.length });
+          if (part.video.subtitles) return clipSubtitles(part.video, trimMap[part.label]);
+          return transcribeClip(cacheDir, part.video, trimMap[part.label], {
+            hasAudio: audioProbeCache.get(part.video.path) || false,
+            signal,
+          });
+        }),
+        { concurrency: 1, signal: job.signal },
+        (completed, idx, result) => {
+          const part = captionJobs[idx];
+          if (result.ok) {
+            clipCaptions.set(partKey(part), result.value);
+            job.emit('caption:done', { part, completed, total: captionJobs.length });
+          } else if (!result.cancelled) {
+            clipCaptions.set(partKey(part), []);
+            captionFailures.add(partKey(part));
+            warnings.push(`Captions for ${part.label} "${part.video.name}" failed, rendering without them: ${shortError(result.error)}`);
+            job.emit('caption:error', { part, error: result.error, completed, total: captionJobs.length });
+          }
+        }
+      );
+    }
+
+    // ── Render ───────────────────────────────────────────────────────
+    const useTransitions = plan.transitions.some(Boolean);
+    const clipDurationMemo = new Map();
+    const clipDuration = cp => {
+      if (!clipDurationMemo.has(cp)) clipDurationMemo.set(cp, getVideoDuration(cp));
+      return clipDurationMemo.get(cp);
+    };
+
+    const comboLogs = toRender.map(combo => createJobLog(logDir, combo.name));
+    const tasks = toRender.map((combo, i) => logged(comboLogs[i], async signal => {
+      const { duration } = combo;
+      const { onLog } = comboLogs[i];
+      job.emit('combo:start', { combo, index: i, duration, total: toRender.length });
+      const outPath = path.join(outDir, combo.name);
+      // Rendered under a temporary name and renamed once complete, so a
+      // failed or cancelled render never leaves a partial video behind
+      const tmpPath = tempPath(outPath);
+      const clipPaths = combo.parts.map(part => clipPathFor(part, combo.format));
+
+      const badIdx = clipPaths.findIndex(cp => clipErrors.has(cp));
+      if (badIdx !== -1) {
+        const part = combo.parts[badIdx];
+        const error = new Error(`${part.label} "${part.video.name}" could not be prepared: ${clipErrors.get(clipPaths[badIdx])}`);
+        // Trying again can't fix a clip that already failed
+        error.retry = false;
+        throw error;
+      }
+
+      // Intermediates always carry audio; drop it when nothing in the combo has sound
+      const hasAudio = combo.parts.some(p => audioProbeCache.get(p.video.path)) || combo.music != null;
+
+      let inputArgs;
+      const fp = [];
+      let videoMap;
+      let audioMap;
+      let listFile = null;
+      let subtitlesFile = null;
+      // Where each part sits in the combo, for timed text and captions
+      let times;
+      const segmentTimeline = what => {
+        if (!times) times = segmentTimes(clipPaths.map(clipDuration), plan.transitions);
+        if (!times) throw new Error(`Could not read the clip lengths needed to time the ${what}`);
+        return times;
+      };
+
+      if (useTransitions) {
+        // Overlapping clips need a filtergraph; offsets come from the intermediates' lengths
+        const durations = clipPaths.map(clipDuration);
+        const unknown = durations.findIndex(d => d == null);
+        if (unknown !== -1) {
+          const part = combo.parts[unknown];
+          throw new Error(`Could not read the length of ${part.label} "${part.video.name}" for its transition`);
+        }
+        inputArgs = clipPaths.map(cp => `-i ${shellEscape(cp)}`);
+        const joined = transitionFilters(durations, plan.transitions, hasAudio);
+        fp.push(...joined.filters);
+        videoMap = joined.video;
+        audioMap = joined.audio;
+      } else {
+        listFile = path.join(cacheDir, `concat-${i}.txt`);
+        writeConcatList(listFile, clipPaths);
+        inputArgs = [`-f concat -safe 0 -i ${shellEscape(listFile)}`];
+        videoMap = '0:v';
+        audioMap = hasAudio ? '0:a' : null;
+      }
+      const asInput = label => (label.startsWith('[') ? label : `[${label}]`);
+
+      if (combo.logo) {
+        const logoInput = inputArgs.length;
+        inputArgs.push(`-i ${shellEscape(combo.logo.path)}`);
+        const placed = logoFilters(logoInput, asInput(videoMap), plan.logo, combo.format);
+        fp.push(...placed.filters);
+        videoMap = placed.output;
+      }
+
+      // A spec layer using {overlay} styles the overlay text in place of the default look
+      const styledOverlay = plan.textLayers.some(layer => layer.text.includes(OVERLAY_PLACEHOLDER));
+      if (combo.overlayText && !styledOverlay) {
+        fp.push(`${asInput(videoMap)}${drawtextFilter(combo.overlayText, { ...opts, overlaySize: renderOpts.overlay.size })}[overlayv]`);
+        videoMap = '[overlayv]';
+      }
+
+      if (plan.textLayers.length) {
+        const text = textLayerFilters(plan.textLayers, {
+          format: combo.format,
+          labels: plan.labels,
+          times: segmentTimeline('overlay spec'),
+          overlayText: combo.overlayText,
+        });
+        if (text.length) {
+          fp.push(`${asInput(videoMap)}${text.join(',')}[textv]`);
+          videoMap = '[textv]';
+        }
+      }
+
+      let sidecarCues = null;
+      if (plan.captions) {
+        const cues = splitCues(
+          comboCues(combo.parts.map(part => clipCaptions.get(partKey(part)) || []), segmentTimeline('captions')),
+          plan.captions.maxWords
+        );
+        if (plan.captions.mode !== 'burn') sidecarCues = cues;
+        if (plan.captions.mode !== 'sidecar' && cues.length) {
+          subtitlesFile = path.join(cacheDir, `captions-${i}.ass`);
+          fs.writeFileSync(subtitlesFile, formatAss(cues, combo.format, plan.captions));
+          fp.push(`${asInput(videoMap)}${subtitlesFilter(subtitlesFile)}[subv]`);
+          videoMap = '[subv]';
+        }
+      }
+
+      if (combo.music) {
+        const { musicMix } = plan;
+        const musicInput = inputArgs.length;
+        const seek = musicMix.start ? `-ss ${musicMix.start} ` : '';
+        inputArgs.push(`${seek}-i ${shellEscape(combo.music.path)}`);
+        // The fade-out is placed from the intermediates' real lengths when we can read them
+        const length = musicMix.fadeOut
+          ? joinedDuration(clipPaths.map(clipDuration), plan.transitions) || duration
+          : null;
+        const mixed = musicFilters(`${musicInput}:a`, asInput(audioMap), musicMix, length, plan.encoding.audioRate);
+        fp.push(...mixed.filters);
+        audioMap = mixed.output;
+        if (plan.loudness) {
+          // The clips are already at the target; bring the mix back to it
+          fp.push(`${audioMap}${loudnormFilter(plan.loudness)},aresample=${plan.encoding.audioRate}[levela]`);
+          audioMap = '[levela]';
+        }
+      }
+
+      // Only streams that went through a filter are re-encoded; the rest are
+      // copied, except that a --max-size budget always re-encodes the video
+      const { maxSize } = plan.encoding;
+      const audioArgs = !audioMap ? ''
+        : ` -map "${audioMap}" ${audioMap === '0:a' ? '-c:a copy' : audioCodecArgs(plan.encoding)}`;
+      const filterArgs = fp.length ? `-filter_complex "${fp.join(';')}" ` : '';
+      // Progress is in seconds of the finished video; each pass of a two-pass encode is half of it
+      const onProgress = pass => ({ time, speed }) => {
+        const done = pass ? ((pass - 1) * (duration || 0) + time) / 2 : time;
+        job.emit('combo:progress', { combo, stage: 'render', time: capTime(done, duration), duration, speed });
+      };
+      const encode = (videoArgs, output, pass = null) =>
+        runFfmpeg(`ffmpeg -y ${inputArgs.join(' ')} ${filterArgs}-map "${videoMap}" ${videoArgs}${audioArgs} ${output} 2>&1`, {
+          signal,
+          onProgress: onProgress(pass),
+          onLog,
+        });
+      const output = `${muxerArgs(plan.encoding)} ${shellEscape(tmpPath)}`.trim();
+      const passlog = path.join(cacheDir, `pass-${i}`);
+
+      job.emit('combo:progress', { combo, stage: 'render', time: 0, duration, speed: null });
+      try {
+        if (maxSize) {
+          // The first pass measures the video so the second can spend the budget where it's needed
+          const seconds = joinedDuration(clipPaths.map(clipDuration), plan.transitions) || duration;
+          if (!seconds) throw new Error('Could not read the clip lengths needed to fit --max-size');
+          const bitrate = sizeBitrate(plan.encoding, seconds, !!audioMap);
+          if (!bitrate) throw new Error(`--max-size ${formatBytes(maxSize)} is too small for ${Math.round(seconds * 10) / 10}s of video`);
+          await encode(videoCodecArgs(renderOpts.preset, plan.encoding, { bitrate, pass: 1, passlog }), '-f null -', 1);
+          await encode(videoCodecArgs(renderOpts.preset, plan.encoding, { bitrate, pass: 2, passlog }), output, 2);
+        } else {
+          await encode(videoMap === '0:v' ? '-c:v copy' : videoCodecArgs(renderOpts.preset, plan.encoding), output);
+        }
+        fs.renameSync(tmpPath, outPath);
+      } finally {
+        for (const file of [listFile, subtitlesFile, tmpPath]) {
+          if (file) try { fs.unlinkSync(file); } catch {}
+        }
+        if (maxSize) removePassLogs(passlog);
+      }
+
+      // ── Subtitle sidecars (.srt/.vtt next to the video) ────────────
+      const [srtPath, vttPath] = subtitlePaths(outDir, combo.name);
+      if (sidecarCues) {
+        fs.writeFileSync(srtPath, formatSrt(sidecarCues));
+        fs.writeFileSync(vttPath, formatVtt(sidecarCues));
+      } else {
+        // Left over from an earlier run with sidecars
+        for (const file of [srtPath, vttPath]) try { fs.unlinkSync(file); } catch {}
+      }
+
+      // ── Thumbnail ──────────────────────────────────────────────────
+      if (opts.thumbnails) {
+        job.emit('combo:progress', { combo, stage: 'thumbnail', time: duration, duration, speed: null });
+        try {
+          await writeThumbnail(outPath, thumbnailPath(outDir, combo.name), plan.thumbTime, { signal, onLog });
+        } catch (e) {
+          if (signal.aborted) throw e;
+        }
+      }
+
+      let loudness = null;
+      if (plan.loudness) {
+        const sources = {};
+        for (const part of combo.parts) {
+          const measured = await sourceLoudness(part).catch(() => null);
+          sources[part.label] = measured ? measured.i : null;
+        }
+        const final = hasAudio ? await measureLoudness(`-i ${shellEscape(outPath)}`, { signal, onLog }).catch(() => null) : null;
+        loudness = { sources, final: final ? final.i : null };
+      }
+
+      return { file: outPath, loudness };
+    }));
+
+    const onRetry = (idx, attempt, error) => job.emit('combo:retry', { combo: toRender[idx], attempt, error });
+    await runJobs(tasks, { ...scheduling, onRetry }, (completed, idx, result) => {
+      const combo = toRender[idx];
+      if (result.attempts > 1) retried.push({ name: combo.name, attempts: result.attempts });
+      if (result.ok) {
+        success++;
+        const { file, loudness } = result.value;
+        const duration = getVideoDuration(file);
+        manifest.outputs[combo.name] = {
+          ...combo.fingerprint,
+          duration,
+          ...(loudness && { loudness }),
+          ...(combo.parts.some(part => captionFailures.has(partKey(part))) && { captionsFailed: true }),
+          ...(plan.thumbTime !== null && { thumbTime: plan.thumbTime }),
+          renderedAt: new Date().toISOString(),
+        };
+        saveManifest(outDir, manifest);
+        let size = null;
+        try { size = fs.statSync(file).size; } catch {}
+        if (plan.platform) checked.set(combo.name, platformViolations(plan.platform, { duration, size }));
+        const { maxSize } = plan.encoding;
+        if (maxSize && size > maxSize) {
+          warnings.push(`${combo.name} came out at ${formatBytes(size)}, over the --max-size ${formatBytes(maxSize)} budget`);
+        }
+        job.emit('combo:done', { combo, file, loudness, completed, total: toRender.length });
+      } else if (result.cancelled) {
+        cancelled++;
+      } else {
+        const log = comboLogs[idx].file;
+        errors.push({ name: combo.name, error: shortError(result.error), ...(log && { log }) });
+        job.emit('combo:error', { combo, error: result.error, log, completed, total: toRender.length });
+      }
+    });
+
+    const inUse = new Set(combos.flatMap(c => c.parts.map(part => clipPathFor(part, c.format))));
+    for (const c of combos) {
+      for (const part of c.parts) {
+        // Measurements and transcripts outlive runs without --loudness or
+        // --captions; only a changed clip or trim drops one
+        inUse.add(loudnessPath(cacheDir, part.video, trimMap[part.label]));
+        if (part.video.kind === 'video') inUse.add(captionsPath(cacheDir, part.video, trimMap[part.label]));
+      }
+    }
+    pruneClipCache(cacheDir, inUse);
+  }
+
+  // ── Thumbnails for videos that are otherwise up to date ───────────
+  let thumbnails = 0;
+  if (plan.thumbnailOnly.length) {
+    const tasks = plan.thumbnailOnly.map(combo => signal =>
+      writeThumbnail(path.join(outDir, combo.name), thumbnailPath(outDir, combo.name), plan.thumbTime, { signal }));
+    await runJobs(tasks, scheduling, (completed, idx, result) => {
+      const combo = plan.thumbnailOnly[idx];
+      if (result.ok) {
+        thumbnails++;
+        manifest.outputs[combo.name].thumbTime = plan.thumbTime;
+      } else if (!result.cancelled) {
+        warnings.push(`Couldn't make a thumbnail for ${combo.name}: ${shortError(result.error)}`);
+      }
+    });
+    saveManifest(outDir, manifest);
+  }
+
+  // ── Ad manifest export and review gallery ─────────────────────────
+  let exported = null;
+  let gallery = null;
+  if (opts.export || opts.gallery) {
+    const rowOpts = { columns: plan.columns, loudness: !!plan.loudness, logos: plan.logos.length > 0 };
+    const rows = outputRows(outDir, combos, manifest, { ...rowOpts, thumbnails: opts.thumbnails });
+    saveManifest(outDir, manifest);
+    if (opts.export) exported = writeExports(outDir, rows, { ...rowOpts, labels: plan.labels });
+    if (opts.gallery) gallery = writeGallery(outDir, rows, { labels: plan.labels });
+  }
+
+  // Rendered outputs are judged by the files; the rest by the plan's estimate
+  const violations = [
+    ...plan.violations.filter(v => !checked.has(v.name)),
+    ...[...checked].filter(([, problems]) => problems.length).map(([name, problems]) => ({ name, problems, skipped: false })),
+  ];
+
+  // A cancelled run may not have reached the outputs an earlier one failed on
+  const failedFile = errors.length || !cancelled ? saveFailures(outDir, plan.given, errors) : null;
+
+  const summary = {
+    outDir,
+    rendered: success,
+    failed: errors.length,
+    failedFile,
+    cancelled,
+    retried,
+    skipped: plan.skipped,
+    thumbnails,
+    staleRemoved: stale.length,
+    exported,
+    gallery,
+    errors,
+    warnings,
+    violations,
+  };
+  job.emit('done', summary);
+  return summary;
+}
+
+/**
+ * --storyboard: one contact sheet per combo instead of its video, with
+ * frames sampled across each segment. Each clip's frames are grabbed once
+ * (as clip jobs) and shared by every sheet showing them; the sheets are the
+ * combo jobs. Nothing is encoded, so this is quick even for a large run,
+ * and every sheet is drawn again each time: there's no manifest to skip by.
+ */
+async function runStoryboards(plan, job) {
+  const { outDir, logDir, combos, toRender, trimMap } = plan;
+  const { frames } = plan.storyboard;
+  const cacheDir = path.join(outDir, CACHE_DIRNAME);
+  ensureDir(cacheDir);
+  if (logDir) ensureDir(logDir);
+  for (const format of plan.formats) ensureDir(path.join(outDir, format.name || ''));
+
+  let success = 0;
+  let cancelled = 0;
+  const errors = [];
+  const retried = [];
+  const scheduling = { concurrency: plan.jobs, retries: plan.retries, timeout: plan.timeout, signal: job.signal };
+
+  // ── Grab each clip's frames once ───────────────────────────────────
+  const partKey = (part, format) => `${part.label}\0${part.video.path}\0${format.name}`;
+  const framesMemo = new Map(); // part key -> { times, files }
+  const framesFor = (part, format) => {
+    const memoKey = partKey(part, format);
+    if (!framesMemo.has(memoKey)) {
+      const times = frameTimes(part.video, trimMap[part.label], plan.clipLengths.get(part.video), frames);
+      framesMemo.set(memoKey, { times, files: times.map(time => framePath(cacheDir, part.video, format, time)) });
+    }
+    return framesMemo.get(memoKey);
+  };
+
+  const clipJobs = new Map(); // part key -> { part, format } with frames missing
+  for (const combo of toRender) {
+    for (const part of combo.parts) {
+      const memoKey = partKey(part, combo.format);
+      if (!clipJobs.has(memoKey) && !framesFor(part, combo.format).files.every(file => fs.existsSync(file))) {
+        clipJobs.set(memoKey, { part, format: combo.format });
+      }
+    }
+  }
+  const clipErrors = new Map(); // part key -> error message
+  const jobs = [...clipJobs];
+  const clipLogs = jobs.map(([, { part, format }]) =>
+    createJobLog(logDir, path.join('clips', `${part.label}-${part.video.name}${format.name ? `-${format.name}` : ''}`)));
+  await runJobs(
+    jobs.map(([, { part, format }], idx) => logged(clipLogs[idx], signal => {
+      job.emit('clip:start', { part, format, duration: null, total: jobs.length });
+      const { times, files } = framesFor(part, format);
+      return grabFrames(part.video, times, files, format, { signal, onLog: clipLogs[idx].onLog });
+    })),
+    {
+      ...scheduling,
+      onRetry: (idx, attempt, error) => {
+        const [, { part, format }] = jobs[idx];
+        job.emit('clip:retry', { part, format, attempt, error });
+      },
+    },
+    (completed, idx, result) => {
+      const [memoKey, { part, format }] = jobs[idx];
+      if (result.attempts > 1) retried.push({ name: `${part.label} "${part.video.name}"${format.name ? ` (${format.name})` : ''}`, attempts: result.attempts });
+      if (result.ok) {
+        job.emit('clip:done', { part, format, completed, total: jobs.length });
+      } else if (!result.cancelled) {
+        clipErrors.set(memoKey, shortError(result.error));
+        job.emit('clip:error', { part, format, error: result.error, log: clipLogs[idx].file, completed, total: jobs.length });
+      }
+    }
+  );
+
+  // ── Contact sheets ─────────────────────────────────────────────────
+  const seconds = s => `${Math.round(s * 10) / 10}s`;
+  const comboLogs = toRender.map(combo => createJobLog(logDir, storyboardName(combo.name)));
+  const tasks = toRender.map((combo, i) => logged(comboLogs[i], async signal => {
+    const { duration } = combo;
+    job.emit('combo:start', { combo, index: i, duration, total: toRender.length });
+    const bad = combo.parts.find(part => clipErrors.has(partKey(part, combo.format)));
+    if (bad) {
+      const error = new Error(`${bad.label} "${bad.video.name}" could not be prepared: ${clipErrors.get(partKey(bad, combo.format))}`);
+      // Trying again can't fix a clip that already failed
+      error.retry = false;
+      throw error;
+    }
+    const rows = combo.parts.map(part => {
+      const length = plan.clipLengths.get(part.video);
+      return {
+        label: [part.label, part.video.name, length != null && seconds(length)].filter(Boolean).join(' · '),
+        frames: framesFor(part, combo.format).files,
+      };
+    });
+    const extra = [combo.overlayText && `"${combo.overlayText}"`, combo.music && `♪ ${combo.music.name}`, duration != null && seconds(duration)];
+    const file = path.join(outDir, storyboardName(combo.name));
+    await writeContactSheet(file, { title: [combo.name, ...extra].filter(Boolean).join(' · '), rows }, { signal, onLog: comboLogs[i].onLog });
+    return { file, loudness: null };
+  }));
+
+  const onRetry = (idx, attempt, error) => job.emit('combo:retry', { combo: toRender[idx], attempt, error });
+  await runJobs(tasks, { ...scheduling, onRetry }, (completed, idx, result) => {
+    const combo = toRender[idx];
+    if (result.attempts > 1) retried.push({ name: combo.name, attempts: result.attempts });
+    if (result.ok) {
+      success++;
+      job.emit('combo:done', { combo, file: result.value.file, loudness: null, completed, total: toRender.length });
+    } else if (result.cancelled) {
+      cancelled++;
+    } else {
+      const log = comboLogs[idx].file;
+      errors.push({ name: combo.name, error: shortError(result.error), ...(log && { log }) });
+      job.emit('combo:error', { combo, error: result.error, log, completed, total: toRender.length });
+    }
+  });
+
+  const inUse = new Set(combos.flatMap(c => c.parts.flatMap(part => framesFor(part, c.format).files)));
+  pruneClipCache(cacheDir, inUse);
+
+  const failedFile = errors.length || !cancelled ? saveFailures(outDir, plan.given, errors) : null;
+  const summary = {
+    outDir,
+    rendered: success,
+    failed: errors.length,
+    failedFile,
+    cancelled,
+    retried,
+    skipped: plan.skipped,
+    thumbnails: 0,
+    staleRemoved: plan.stale.length,
+    exported: null,
+    gallery: null,
+    errors,
+    warnings: [],
+    violations: plan.violations,
+  };
+  job.emit('done', summary);
+  return summary;
+}
+
+module.exports = {
+  RenderJob,
+  render,
+};
@@ -0,0 +1,68 @@
+const { escapeRegex } = require('./util');
+const { ValidationError } = require('./errors');
+
+function globToRegex(glob) {
+  const body = glob.split('*').map(part => part.split('?').map(escapeRegex).join('.')).join('.*');
+  return new RegExp(`^${body}$`, 'i');
+}
+
+/**
+ * Parse one rule like "hook:price-*,cta:free-trial" into its conditions.
+ * Every label must name a segment of this run.
+ */
+function parseRule(rule, labels, flag) {
+  const conditions = rule.split(',').map(s => s.trim()).filter(Boolean).map(cond => {
+    const colonIdx = cond.indexOf(':');
+    const label = colonIdx === -1 ? '' : cond.substring(0, colonIdx).trim();
+    const pattern = colonIdx === -1 ? '' : cond.substring(colonIdx + 1).trim();
+    if (!label || !pattern) {
+      throw new ValidationError(`Invalid ${flag} rule "${rule}": each part must look like label:pattern`);
+    }
+    if (!labels.includes(label)) {
+      throw new ValidationError(`${flag} rule "${rule}" refers to unknown segment "${label}"`, {
+        hint: `Segments in this run: ${labels.join(', ')}`,
+      });
+    }
+    return { label, regex: globToRegex(pattern) };
+  });
+  if (!conditions.length) {
+    throw new ValidationError(`Empty ${flag} rule`);
+  }
+  if (flag === '--require' && conditions.length < 2) {
+    throw new ValidationError(`--require rule "${rule}" needs at least two parts, e.g. hook:bf-*,cta:discount-*`);
+  }
+  return conditions;
+}
+
+function parseRules(excludeArg, requireArg, labels) {
+  return {
+    exclude: [].concat(excludeArg || []).map(r => parseRule(r, labels, '--exclude')),
+    require: [].concat(requireArg || []).map(r => parseRule(r, labels, '--require')),
+  };
+}
+
+/**
+ * Why a combo (one video per segment, in `labels` order) is filtered out,
+ * or null if it may be built:
+ * - excluded: every part of some --exclude rule matches
+ * - required: the first part of a --require rule matches but the rest don't
+ * - tags:     two tagged clips share no tag (untagged clips match anything)
+ */
+function comboRejection(videos, labels, rules) {
+  const matches = c => videos.some((v, i) => labels[i] === c.label && c.regex.test(v.name));
+  if (rules.exclude.some(rule => rule.every(matches))) return 'excluded';
+  if (rules.require.some(([first, ...rest]) => matches(first) && !rest.every(matches))) return 'required';
+  const tagged = videos.filter(v => v.tags.length);
+  for (let a = 0; a < tagged.length; a++) {
+    for (let b = a + 1; b < tagged.length; b++) {
+      if (!tagged[a].tags.some(t => tagged[b].tags.includes(t))) return 'tags';
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  globToRegex,
+  parseRules,
+  comboRejection,
+};
@@ -0,0 +1,148 @@
+const SAMPLE_DESIGNS = ['random', 'balanced'];
+
+// Used when --max is given without --seed, so --dry-run and the real run agree
+const DEFAULT_SEED = 1;
+
+/**
+ * Small seeded PRNG (mulberry32) — same seed, same selection.
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Map a combination index to one clip index per segment, in the same order
+ * cartesian() produces (last segment varies fastest).
+ */
+function decodeComboIndex(index, lengths) {
+  const tuple = new Array(lengths.length);
+  for (let i = lengths.length - 1; i >= 0; i--) {
+    tuple[i] = index % lengths[i];
+    index = Math.floor(index / lengths[i]);
+  }
+  return tuple;
+}
+
+function encodeComboIndex(tuple, lengths) {
+  return tuple.reduce((acc, j, i) => acc * lengths[i] + j, 0);
+}
+
+/**
+ * Pick `n` distinct combination indices uniformly at random, from `allowed`
+ * when rules have narrowed the space.
+ */
+function randomSample(lengths, n, rng, allowed) {
+  if (allowed) return shuffle(allowed.slice(), rng).slice(0, n);
+  const total = lengths.reduce((a, b) => a * b, 1);
+  if (n > total / 2) {
+    return shuffle([...Array(total).keys()], rng).slice(0, n);
+  }
+  const picked = new Set();
+  while (picked.size < n) picked.add(Math.floor(rng() * total));
+  return [...picked];
+}
+
+/**
+ * Pick `n` distinct combinations so every clip of a segment is used as
+ * evenly as possible (counts differ by at most one where the space allows),
+ * and greedily cover as many clip pairs across segments as possible.
+ */
+function balancedSample(lengths, n, rng, allowed) {
+  const total = lengths.reduce((a, b) => a * b, 1);
+  const allowedSet = allowed ? new Set(allowed) : null;
+  const CANDIDATES = 20;
+  const usage = lengths.map(len => new Array(len).fill(0));
+  const coveredPairs = new Set();
+  const picked = new Set();
+  const pairKey = (i, a, k, b) => (i < k ? `${i}:${a}|${k}:${b}` : `${k}:${b}|${i}:${a}`);
+
+  for (let s = 0; s < n; s++) {
+    let best = null;
+    let bestGain = -1;
+    for (let c = 0; c < CANDIDATES; c++) {
+      const tuple = new Array(lengths.length);
+      let gain = 0;
+      for (const i of shuffle([...lengths.keys()], rng)) {
+        // Only the least-used clips of this segment keep the design balanced
+        const min = Math.min(...usage[i]);
+        const pool = shuffle(usage[i].flatMap((u, j) => (u === min ? [j] : [])), rng);
+        let pick = pool[0];
+        let pickGain = -1;
+        for (const j of pool) {
+          let g = 0;
+          tuple.forEach((b, k) => { if (b !== undefined && !coveredPairs.has(pairKey(i, j, k, b))) g++; });
+          if (g > pickGain) {
+            pick = j;
+            pickGain = g;
+          }
+        }
+        tuple[i] = pick;
+        gain += pickGain;
+      }
+      const index = encodeComboIndex(tuple, lengths);
+      if (!picked.has(index) && (!allowedSet || allowedSet.has(index)) && gain > bestGain) {
+        best = tuple;
+        bestGain = gain;
+      }
+    }
+
+    if (!best && allowed) {
+      // Every balanced candidate was a repeat or ruled out — take the next usable one
+      let pos = Math.floor(rng() * allowed.length);
+      while (picked.has(allowed[pos])) pos = (pos + 1) % allowed.length;
+      best = decodeComboIndex(allowed[pos], lengths);
+    } else if (!best) {
+      // Every balanced candidate was a repeat — take the next unused combination
+      let index = Math.floor(rng() * total);
+      while (picked.has(index)) index = (index + 1) % total;
+      best = decodeComboIndex(index, lengths);
+    }
+
+    picked.add(encodeComboIndex(best, lengths));
+    best.forEach((j, i) => {
+      usage[i][j]++;
+      for (let k = i + 1; k < best.length; k++) coveredPairs.add(pairKey(i, j, k, best[k]));
+    });
+  }
+  return [...picked];
+}
+
+/**
+ * Select `max` of the combinations cartesian() would produce, without
+ * building the full product. `allowed` (sorted combination indices) limits
+ * the choice to combos that pass the rules. Returns them in cartesian order.
+ */
+function sampleCombinations(arrays, max, { design, seed, allowed }) {
+  const lengths = arrays.map(a => a.length);
+  const rng = createRng(seed);
+  const indices = design === 'balanced'
+    ? balancedSample(lengths, max, rng, allowed)
+    : randomSample(lengths, max, rng, allowed);
+  return indices
+    .sort((a, b) => a - b)
+    .map(index => decodeComboIndex(index, lengths).map((j, i) => arrays[i][j]));
+}
+
+module.exports = {
+  SAMPLE_DESIGNS,
+  DEFAULT_SEED,
+  createRng,
+  decodeComboIndex,
+  encodeComboIndex,
+  sampleCombinations,
+};
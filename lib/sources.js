@@ -0,0 +1,336 @@
+const path = require('path');
+const fs = require('fs');
+const { isPlainObject } = require('./util');
+const { CARD_EXT, parseCard } = require('./cards');
+const { ValidationError } = require('./errors');
+
+const VIDEO_EXTS = new Set(['.mp4', '.mov', '.avi', '.mkv', '.webm', '.m4v']);
+const AUDIO_EXTS = new Set(['.mp3', '.wav', '.aac', '.m4a', '.ogg', '.flac']);
+const IMAGE_EXTS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+
+// Sidecar next to a clip listing its tags, e.g. hook-bf.mp4 + hook-bf.tags
+const TAGS_EXT = '.tags';
+
+// Approved subtitles next to a clip, e.g. hook-bf.mp4 + hook-bf.srt (first match wins)
+const SUBTITLE_EXTS = ['.srt', '.vtt'];
+
+// Files that travel alongside clips in segment folders
+const SIDECAR_EXTS = new Set([TAGS_EXT, ...SUBTITLE_EXTS]);
+
+// Tags in the filename itself, e.g. hook-bf[black-friday,sale].mp4
+const TAG_SUFFIX_RE = /^(.*?)\s*\[([^\]]*)\]$/;
+
+// How long an image or card shows, in the filename, e.g. offer@3s.png
+const DURATION_SUFFIX_RE = /^(.*?)@(\d+(?:\.\d+)?)s$/i;
+
+/**
+ * Whether a file can be used as a clip, track or image: a regular file
+ * with some content, not a symlink.
+ */
+function isUsableFile(filePath) {
+  try {
+    const stat = fs.lstatSync(filePath);
+    if (stat.isSymbolicLink() || stat.size === 0) return false;
+    return stat.isFile();
+  } catch {
+    return false;
+  }
+}
+
+/** Whether a filename ends in one of `extensions` (a Set of lowercase ".ext"). */
+function hasExtension(filePath, extensions) {
+  return extensions.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * What a file in a segment folder is: 'video', 'image', 'card' (a text
+ * card template), or null for anything else.
+ */
+function clipKind(file) {
+  if (file.toLowerCase().endsWith(CARD_EXT)) return 'card';
+  if (hasExtension(file, VIDEO_EXTS)) return 'video';
+  if (hasExtension(file, IMAGE_EXTS)) return 'image';
+  return null;
+}
+
+/**
+ * A clip's filename without its extension (".card.json" counts as one).
+ */
+function clipBaseName(file) {
+  return clipKind(file) === 'card' ? file.slice(0, -CARD_EXT.length) : path.parse(file).name;
+}
+
+function splitTags(text) {
+  return text.split(/[\s,]+/).map(t => t.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Work out a clip's display name and tags from its filename suffix and
+ * optional .tags sidecar.
+ */
+function readClipTags(dir, file) {
+  let name = clipBaseName(file);
+  const tags = new Set();
+  const m = name.match(TAG_SUFFIX_RE);
+  if (m && m[1]) {
+    name = m[1];
+    splitTags(m[2]).forEach(t => tags.add(t));
+  }
+  const sidecar = path.join(dir, clipBaseName(file) + TAGS_EXT);
+  if (fs.existsSync(sidecar)) {
+    try {
+      splitTags(fs.readFileSync(sidecar, 'utf-8')).forEach(t => tags.add(t));
+    } catch {}
+  }
+  return { name, tags: [...tags] };
+}
+
+/**
+ * The subtitle file shipped alongside a clip, or null.
+ */
+function findClipSubtitles(dir, file) {
+  const base = path.join(dir, clipBaseName(file));
+  return SUBTITLE_EXTS.map(ext => base + ext).find(f => fs.existsSync(f)) || null;
+}
+
+function getVideos(dir, label, warnings) {
+  if (!dir) return [];
+  const abs = path.resolve(dir);
+
+  if (!fs.existsSync(abs)) {
+    throw new ValidationError(`${label} folder not found: ${abs}`, { hint: `How to fix: mkdir -p ${dir}` });
+  }
+  if (!fs.statSync(abs).isDirectory()) {
+    throw new ValidationError(`${label} path is not a folder: ${abs}`);
+  }
+
+  let allEntries;
+  try {
+    allEntries = fs.readdirSync(abs);
+  } catch (e) {
+    throw new ValidationError(`Cannot read ${label} folder: ${e.message}`);
+  }
+
+  // Filter hidden files
+  const allFiles = allEntries.filter(f => !f.startsWith('.'));
+
+  const unsupported = allFiles.filter(f => !clipKind(f) && !hasExtension(f, SIDECAR_EXTS));
+  if (unsupported.length > 0) {
+    warnings.push(`Skipping ${unsupported.length} unsupported file(s) in ${label}`);
+  }
+
+  const clipFiles = allFiles.filter(f => clipKind(f));
+  const validFiles = clipFiles.filter(f => isUsableFile(path.join(abs, f)));
+  if (validFiles.length < clipFiles.length) {
+    warnings.push(`Skipping ${clipFiles.length - validFiles.length} empty file(s) or symlink(s) in ${label}`);
+  }
+  const videos = validFiles.sort().map(f => readClip(abs, f));
+
+  if (!videos.length) {
+    throw new ValidationError(`No video files, images or cards found in ${label} folder: ${abs}`);
+  }
+  return videos;
+}
+
+/**
+ * One clip in a segment folder. Images and cards are stills: they carry
+ * the `duration` from their filename (or card template), or null for the
+ * run's default.
+ */
+function readClip(dir, file) {
+  const kind = clipKind(file);
+  const clip = { ...readClipTags(dir, file), kind, path: path.join(dir, file), subtitles: findClipSubtitles(dir, file) };
+  if (kind === 'video') return clip;
+
+  clip.duration = null;
+  const m = clip.name.match(DURATION_SUFFIX_RE);
+  if (m && m[1]) {
+    clip.name = m[1];
+    clip.duration = parseFloat(m[2]);
+    if (clip.duration <= 0) {
+      throw new ValidationError(`Invalid duration in "${file}": must be more than 0 seconds`);
+    }
+  }
+  if (kind === 'card') {
+    clip.card = parseCard(clip.path);
+    if (clip.duration === null) clip.duration = clip.card.duration;
+  }
+  return clip;
+}
+
+function getAudioFiles(input) {
+  if (!input) return [];
+  const abs = path.resolve(input);
+  if (!fs.existsSync(abs)) {
+    throw new ValidationError(`Music path not found: ${abs}`);
+  }
+  if (fs.statSync(abs).isFile()) {
+    if (!isUsableFile(abs)) {
+      throw new ValidationError(`Music file is empty or invalid: ${abs}`);
+    }
+    return [{ name: path.parse(abs).name, path: abs }];
+  }
+  const files = fs.readdirSync(abs)
+    .filter(f => !f.startsWith('.') && hasExtension(f, AUDIO_EXTS))
+    .filter(f => isUsableFile(path.join(abs, f)))
+    .sort()
+    .map(f => ({ name: path.parse(f).name, path: path.join(abs, f) }));
+  if (!files.length) {
+    throw new ValidationError(`No audio files found in: ${abs}`);
+  }
+  return files;
+}
+
+/**
+ * A single logo image for --logo.
+ */
+function getImage(file, flag) {
+  if (!file) return null;
+  const abs = path.resolve(file);
+  if (!fs.existsSync(abs)) {
+    throw new ValidationError(`${flag} not found: ${abs}`);
+  }
+  if (!hasExtension(abs, IMAGE_EXTS)) {
+    throw new ValidationError(`${flag} must be an image (${[...IMAGE_EXTS].join(', ')}): ${abs}`);
+  }
+  if (!isUsableFile(abs)) {
+    throw new ValidationError(`${flag} is empty or invalid: ${abs}`);
+  }
+  return { name: path.parse(abs).name, path: abs };
+}
+
+/**
+ * Every image in a folder, for --logo-dir.
+ */
+function getImages(dir, flag) {
+  if (!dir) return [];
+  const abs = path.resolve(dir);
+  if (!fs.existsSync(abs) || !fs.statSync(abs).isDirectory()) {
+    throw new ValidationError(`${flag} folder not found: ${abs}`);
+  }
+  const files = fs.readdirSync(abs)
+    .filter(f => !f.startsWith('.') && hasExtension(f, IMAGE_EXTS))
+    .filter(f => isUsableFile(path.join(abs, f)))
+    .sort()
+    .map(f => ({ name: path.parse(f).name, path: path.join(abs, f) }));
+  if (!files.length) {
+    throw new ValidationError(`No images found in: ${abs}`, { hint: `Supported formats: ${[...IMAGE_EXTS].join(', ')}` });
+  }
+  return files;
+}
+
+function parseOverlays(overlayArg, overlaysFileArg) {
+  const result = [];
+  if (overlayArg) {
+    const arr = Array.isArray(overlayArg) ? overlayArg : [overlayArg];
+    arr.forEach(t => result.push(t));
+  }
+  if (overlaysFileArg) {
+    const abs = path.resolve(overlaysFileArg);
+    if (!fs.existsSync(abs)) {
+      throw new ValidationError(`Overlays file not found: ${abs}`);
+    }
+    const lines = fs.readFileSync(abs, 'utf-8').split('\n').map(l => l.trim()).filter(Boolean);
+    lines.forEach(l => result.push(l));
+  }
+  return result;
+}
+
+function parseTrim(trimStr, where) {
+  if (!trimStr) return null;
+  const ctx = where ? ` (${where})` : '';
+  // "0-3" means start at 0s, end at 3s (duration = end - start)
+  // "last3" means last 3 seconds
+  const lastMatch = trimStr.match(/^last(\d+(\.\d+)?)$/i);
+  if (lastMatch) {
+    const seconds = parseFloat(lastMatch[1]);
+    if (seconds <= 0) {
+      throw new ValidationError(`Invalid trim${ctx}: "last" duration must be positive: "${trimStr}"`);
+    }
+    return { mode: 'last', seconds };
+  }
+  const rangeMatch = trimStr.match(/^(\d+(\.\d+)?)-(\d+(\.\d+)?)$/);
+  if (rangeMatch) {
+    const start = parseFloat(rangeMatch[1]);
+    const end = parseFloat(rangeMatch[3]);
+    if (end <= start) {
+      throw new ValidationError(`Invalid trim range${ctx}: end (${end}) must be greater than start (${start})`);
+    }
+    return { mode: 'range', start, duration: end - start };
+  }
+  // Just a number = duration from start
+  const dur = parseFloat(trimStr);
+  if (!isNaN(dur) && dur > 0) return { mode: 'range', start: 0, duration: dur };
+  throw new ValidationError(`Invalid trim format${ctx}: "${trimStr}". Use "0-3", "last3", or "3" (must be positive)`);
+}
+
+/**
+ * How much of a clip a trim keeps, or null when the clip's length is unknown.
+ */
+function trimmedDuration(duration, trim) {
+  if (duration == null) return null;
+  if (!trim) return duration;
+  if (trim.mode === 'last') return Math.min(trim.seconds, duration);
+  return Math.max(0, Math.min(trim.duration, duration - trim.start));
+}
+
+/**
+ * Read every segment folder. Segments are "label:./path" strings (as
+ * --segments takes them), { label, path } objects, or a { label: path } map.
+ */
+function parseSegments(segArgs, warnings) {
+  const entries = isPlainObject(segArgs)
+    ? Object.entries(segArgs).map(([label, dir]) => ({ label, path: dir }))
+    : [].concat(segArgs || []);
+  const segments = [];
+  for (const seg of entries) {
+    let label;
+    let dir;
+    if (isPlainObject(seg)) {
+      label = String(seg.label || '').trim();
+      dir = String(seg.path || '').trim();
+    } else {
+      // Only split on the first colon so Windows drive letters (hook:C:\clips) survive
+      const colonIdx = seg.indexOf(':');
+      if (colonIdx === -1) {
+        throw new ValidationError(`Invalid segment format: "${seg}". Use label:./path`);
+      }
+      label = seg.substring(0, colonIdx).trim();
+      dir = seg.substring(colonIdx + 1).trim();
+    }
+    const desc = typeof seg === 'string' ? seg : JSON.stringify(seg);
+    if (!label) {
+      throw new ValidationError(`Segment label cannot be empty: "${desc}"`);
+    }
+    if (!dir) {
+      throw new ValidationError(`Segment path cannot be empty: "${desc}"`);
+    }
+    const videos = getVideos(dir, label, warnings);
+    segments.push({ label, videos });
+  }
+  if (segments.length === 0) {
+    throw new ValidationError('No segments provided');
+  }
+  return segments;
+}
+
+module.exports = {
+  VIDEO_EXTS,
+  AUDIO_EXTS,
+  IMAGE_EXTS,
+  SIDECAR_EXTS,
+  SUBTITLE_EXTS,
+  TAGS_EXT,
+  clipKind,
+  isUsableFile,
+  hasExtension,
+  readClipTags,
+  getVideos,
+  getAudioFiles,
+  getImage,
+  getImages,
+  parseOverlays,
+  parseTrim,
+  trimmedDuration,
+  parseSegments,
+};
@@ -0,0 +1,160 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { shellEscape, fileSignature, tempPath } = require('./util');
+const { fitFilter } = require('./formats');
+const { getVideoDuration, runFfmpeg } = require('./ffmpeg');
+const { stillVideo } = require('./clips');
+const { escapeDrawtext } = require('./overlays');
+const { ValidationError } = require('./errors');
+
+// --storyboard contact sheets go into this subfolder of the output folder
+const STORYBOARD_DIRNAME = 'storyboards';
+
+// Bump when grabFrames() changes so older cached frames aren't reused
+const FRAME_VERSION = 1;
+
+// Most frames a segment's row may hold
+const MAX_STORYBOARD_FRAMES = 12;
+
+// Short side of each frame on a sheet in pixels (180×320 for a 9:16 output)
+const TILE_SHORT_SIDE = 180;
+
+// The sheet's look: label strips above each row, gaps between frames
+const SHEET = { background: '0x1b1b1b', gap: 4, strip: 28, fontSize: 16, color: 'white', dim: '0x999999' };
+
+/**
+ * --storyboard-frames: frames sampled across each segment, 1 to
+ * MAX_STORYBOARD_FRAMES.
+ */
+function parseStoryboardFrames(value) {
+  const n = Number(value);
+  if (value === '' || !Number.isInteger(n) || n < 1 || n > MAX_STORYBOARD_FRAMES) {
+    throw new ValidationError(`--storyboard-frames must be a whole number from 1 to ${MAX_STORYBOARD_FRAMES}, got: ${value}`);
+  }
+  return n;
+}
+
+/** A format's frame as shown on a sheet, same aspect ratio, even dimensions. */
+function tileSize(format) {
+  const scale = TILE_SHORT_SIDE / Math.min(format.width, format.height);
+  const even = n => Math.max(2, Math.round((n * scale) / 2) * 2);
+  return { width: even(format.width), height: even(format.height) };
+}
+
+/** A combo's sheet, named after its video: hook1_cta2.mp4 → hook1_cta2.jpg. */
+function storyboardName(name) {
+  return `${name.slice(0, name.length - path.extname(name).length)}.jpg`;
+}
+
+/**
+ * Where in the source file to grab `count` frames of a clip as trimmed:
+ * the middle of `count` equal slices of the `length` it keeps. A still
+ * looks the same throughout, and a clip of unknown length is only seen
+ * where it starts.
+ */
+function frameTimes(video, trim, length, count) {
+  if (video.kind !== 'video') return new Array(count).fill(0);
+  let start = 0;
+  if (trim && trim.mode === 'last') {
+    const dur = getVideoDuration(video.path);
+    if (dur && dur > trim.seconds) start = dur - trim.seconds;
+  } else if (trim) {
+    start = trim.start;
+  }
+  if (!length) return new Array(count).fill(start);
+  return Array.from({ length: count }, (_, k) => Math.round((start + (length * (k + 0.5)) / count) * 1000) / 1000);
+}
+
+/**
+ * Cache path for one frame of a source clip, fitted to a format. Changing
+ * the clip, the time or how the format fits it gives a new file.
+ */
+function framePath(cacheDir, video, format, time) {
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify({
+      v: FRAME_VERSION,
+      path: video.path,
+      ...fileSignature(video.path),
+      time,
+      width: format.width,
+      height: format.height,
+      fit: format.fit,
+      focus: format.fit === 'crop' ? format.focus : null,
+    }))
+    .digest('hex');
+  return path.join(cacheDir, `${key}.jpg`);
+}
+
+/**
+ * Grab the frames of a clip at `times` into `dests`, each fitted to the
+ * format as the render would and shrunk to the sheet's tile size. Cards
+ * are drawn at full size first so their text keeps its proportions.
+ */
+async function grabFrames(video, times, dests, format, { signal, onLog } = {}) {
+  const tile = tileSize(format);
+  for (let k = 0; k < times.length; k++) {
+    if (fs.existsSync(dests[k])) continue;
+    let inputArgs;
+    let filters;
+    if (video.kind === 'video') {
+      inputArgs = [`-ss ${times[k]}`, `-i ${shellEscape(video.path)}`];
+      filters = [fitFilter('0:v', 'tile', { ...format, ...tile })];
+    } else {
+      ({ inputArgs, filters } = stillVideo(video, 1, format, false, { fps: 1, pixFmt: 'yuv420p' }));
+      filters.push(`[v]scale=${tile.width}:${tile.height}[tile]`);
+    }
+    const tmp = tempPath(dests[k]);
+    try {
+      await runFfmpeg(`ffmpeg -y ${inputArgs.join(' ')} -filter_complex "${filters.join(';')}" -map "[tile]" -frames:v 1 -q:v 3 ${shellEscape(tmp)} 2>&1`, { signal, onLog });
+    } catch (e) {
+      try { fs.unlinkSync(tmp); } catch {}
+      throw e;
+    }
+    fs.renameSync(tmp, dests[k]);
+  }
+}
+
+/**
+ * Tile a combo's frames into one contact sheet at `dest`: a title strip,
+ * then a row per segment under a strip naming the segment, its clip and
+ * how long it runs. `rows` are { label, frames } with frame image paths.
+ */
+async function writeContactSheet(dest, { title, rows }, { signal, onLog } = {}) {
+  const { background, gap, strip, fontSize, color, dim } = SHEET;
+  const text = (value, fontcolor) =>
+    `drawtext=text='${escapeDrawtext(value)}':expansion=none:fontsize=${fontSize}:fontcolor=${fontcolor}:x=${gap * 2}:y=(${strip}-text_h)/2`;
+  const inputs = [];
+  const fp = [];
+  rows.forEach((row, r) => {
+    const tiles = row.frames.map(file => {
+      inputs.push(`-i ${shellEscape(file)}`);
+      return `[${inputs.length - 1}:v]`;
+    });
+    const joined = tiles.length > 1 ? `hstack=inputs=${tiles.length}` : 'null';
+    // Each row sits under its label strip, with a gap on every side
+    fp.push(`${tiles.join('')}${joined},pad=iw+${gap * 2}:ih+${strip + gap}:${gap}:${strip}:color=${background},${text(row.label, color)}[row${r}]`);
+  });
+  const stacked = rows.length > 1 ? `vstack=inputs=${rows.length}` : 'null';
+  fp.push(`${rows.map((_, r) => `[row${r}]`).join('')}${stacked},pad=iw:ih+${strip}:0:${strip}:color=${background},${text(title, dim)}[sheet]`);
+
+  const tmp = tempPath(dest);
+  try {
+    await runFfmpeg(`ffmpeg -y ${inputs.join(' ')} -filter_complex "${fp.join(';')}" -map "[sheet]" -frames:v 1 -q:v 3 ${shellEscape(tmp)} 2>&1`, { signal, onLog });
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch {}
+    throw e;
+  }
+  fs.renameSync(tmp, dest);
+}
+
+module.exports = {
+  STORYBOARD_DIRNAME,
+  MAX_STORYBOARD_FRAMES,
+  parseStoryboardFrames,
+  storyboardName,
+  frameTimes,
+  framePath,
+  grabFrames,
+  writeContactSheet,
+};
@@ -0,0 +1,157 @@
+const { ValidationError } = require('./errors');
+
+// Transitions ffmpeg's xfade filter supports
+const XFADE_TRANSITIONS = [
+  'fade', 'dissolve', 'fadeblack', 'fadewhite', 'fadegrays', 'distance', 'pixelize', 'radial', 'hblur',
+  'wipeleft', 'wiperight', 'wipeup', 'wipedown', 'wipetl', 'wipetr', 'wipebl', 'wipebr',
+  'slideleft', 'slideright', 'slideup', 'slidedown',
+  'smoothleft', 'smoothright', 'smoothup', 'smoothdown',
+  'circleopen', 'circleclose', 'circlecrop', 'rectcrop',
+  'vertopen', 'vertclose', 'horzopen', 'horzclose',
+  'diagtl', 'diagtr', 'diagbl', 'diagbr',
+  'hlslice', 'hrslice', 'vuslice', 'vdslice', 'squeezeh', 'squeezev',
+];
+
+// Friendlier names for common xfade transitions
+const TRANSITION_ALIASES = {
+  'crossfade': 'fade',
+  'dip-to-black': 'fadeblack',
+  'dip-to-white': 'fadewhite',
+};
+
+// A plain cut, e.g. to turn the default transition off at one boundary
+const CUT_NAMES = ['cut', 'none'];
+
+const DEFAULT_TRANSITION_DURATION = 0.5;
+
+/**
+ * Parse "fade:0.3" into { type, duration }, or null for a cut.
+ */
+function parseTransition(spec, where) {
+  const ctx = where ? ` in ${where}` : '';
+  const m = String(spec).trim().toLowerCase().match(/^([a-z-]+)(?::(\d*\.?\d+))?$/);
+  if (!m) {
+    throw new ValidationError(`Invalid transition${ctx}: "${spec}". Use type[:seconds], e.g. fade:0.3`);
+  }
+  if (CUT_NAMES.includes(m[1])) return null;
+  const type = TRANSITION_ALIASES[m[1]] || m[1];
+  if (!XFADE_TRANSITIONS.includes(type)) {
+    throw new ValidationError(`Unknown transition${ctx}: "${m[1]}"`, {
+      hint: `Use ${CUT_NAMES.join(', ')}, ${Object.keys(TRANSITION_ALIASES).join(', ')} or an xfade transition: ${XFADE_TRANSITIONS.join(', ')}`,
+    });
+  }
+  const duration = m[2] !== undefined ? parseFloat(m[2]) : DEFAULT_TRANSITION_DURATION;
+  if (!(duration > 0)) {
+    throw new ValidationError(`Transition duration must be positive${ctx}: "${spec}"`);
+  }
+  return { type, duration };
+}
+
+/**
+ * Resolve the transition at every segment boundary: --transition applies to
+ * all of them, --transition-at "hook>body=fade:0.5" overrides one.
+ * Returns one { type, duration } (or null for a cut) per boundary.
+ */
+function parseTransitions(defaultSpec, atArgs, labels) {
+  const fallback = defaultSpec ? parseTransition(defaultSpec, '--transition') : null;
+  const boundaries = labels.slice(1).map(() => fallback);
+  const names = labels.slice(1).map((label, i) => `${labels[i]}>${label}`);
+  for (const arg of [].concat(atArgs || [])) {
+    const eqIdx = arg.indexOf('=');
+    const boundary = eqIdx === -1 ? '' : arg.substring(0, eqIdx).replace(/\s+/g, '');
+    if (!boundary.includes('>')) {
+      throw new ValidationError(`Invalid --transition-at "${arg}". Use from>to=type[:seconds], e.g. hook>body=fade:0.5`);
+    }
+    const idx = names.indexOf(boundary);
+    if (idx === -1) {
+      throw new ValidationError(`--transition-at "${arg}" doesn't match a segment boundary`, {
+        hint: `Boundaries in this run: ${names.join(', ') || 'none'}`,
+      });
+    }
+    boundaries[idx] = parseTransition(arg.substring(eqIdx + 1), `--transition-at "${arg}"`);
+  }
+  return boundaries;
+}
+
+/**
+ * How long a transition really lasts between two clips. It never takes more
+ * than half of either clip, so a clip with a transition on both sides keeps
+ * its full length on screen.
+ */
+function transitionDuration(transition, before, after) {
+  return Math.round(Math.min(transition.duration, before / 2, after / 2) * 1000) / 1000;
+}
+
+/**
+ * Length of clips joined with the given boundary transitions, or null when
+ * any clip length is unknown.
+ */
+function joinedDuration(durations, boundaries) {
+  if (durations.some(d => d == null)) return null;
+  return durations.reduce((total, d, i) => {
+    const t = i > 0 && boundaries[i - 1];
+    return total + d - (t ? transitionDuration(t, durations[i - 1], d) : 0);
+  }, 0);
+}
+
+/**
+ * When each clip plays in the joined video: [{ start, end }] in seconds,
+ * or null when any clip length is unknown. A clip starts as the transition
+ * into it begins, so neighbouring windows overlap by the transition.
+ */
+function segmentTimes(durations, boundaries) {
+  if (durations.some(d => d == null)) return null;
+  const times = [];
+  let start = 0;
+  durations.forEach((d, i) => {
+    const t = i > 0 && boundaries[i - 1];
+    if (t) start -= transitionDuration(t, durations[i - 1], d);
+    times.push({ start: Math.round(start * 1000) / 1000, end: Math.round((start + d) * 1000) / 1000 });
+    start += d;
+  });
+  return times;
+}
+
+/**
+ * Filtergraph joining inputs 0..n-1 with xfade/acrossfade at transition
+ * boundaries and concat at cuts. Offsets come from the clips' durations.
+ * Returns the output labels { video, audio } (audio null without sound).
+ */
+function transitionFilters(durations, boundaries, hasAudio) {
+  const filters = [];
+  let v = '0:v';
+  let a = '0:a';
+  let total = durations[0];
+  for (let i = 1; i < durations.length; i++) {
+    const t = boundaries[i - 1];
+    const vOut = `jv${i}`;
+    const aOut = `ja${i}`;
+    if (!t) {
+      filters.push(hasAudio
+        ? `[${v}][${a}][${i}:v][${i}:a]concat=n=2:v=1:a=1[${vOut}][${aOut}]`
+        : `[${v}][${i}:v]concat=n=2:v=1:a=0[${vOut}]`);
+      total += durations[i];
+    } else {
+      const d = transitionDuration(t, durations[i - 1], durations[i]);
+      const offset = Math.round((total - d) * 1000) / 1000;
+      filters.push(`[${v}][${i}:v]xfade=transition=${t.type}:duration=${d}:offset=${offset}[${vOut}]`);
+      if (hasAudio) filters.push(`[${a}][${i}:a]acrossfade=d=${d}[${aOut}]`);
+      total += durations[i] - d;
+    }
+    v = vOut;
+    a = aOut;
+  }
+  return { filters, video: `[${v}]`, audio: hasAudio ? `[${a}]` : null };
+}
+
+module.exports = {
+  XFADE_TRANSITIONS,
+  TRANSITION_ALIASES,
+  DEFAULT_TRANSITION_DURATION,
+  parseTransition,
+  parseTransitions,
+  transitionDuration,
+  joinedDuration,
+  segmentTimes,
+  transitionFilters,
+};
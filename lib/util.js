@@ -0,0 +1,137 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Sanitize a filename to be safe for the filesystem.
+ * Removes path traversal, null bytes, and problematic characters.
+ */
+function sanitizeFilename(name) {
+  // Remove null bytes
+  name = name.replace(/\0/g, '');
+  // Remove path separators (prevent traversal)
+  name = name.replace(/[/\\]/g, '_');
+  // Remove other problematic chars for cross-platform compat
+  name = name.replace(/[<>:"|?*]/g, '_');
+  // Collapse multiple underscores
+  name = name.replace(/_+/g, '_');
+  // Trim dots and spaces from start/end (Windows issue)
+  name = name.replace(/^[.\s]+|[.\s]+$/g, '');
+  // Truncate to 200 chars (leave room for extension and path)
+  if (name.length > 200) name = name.substring(0, 200);
+  // Fallback if empty
+  if (!name) name = 'unnamed';
+  return name;
+}
+
+/**
+ * Escape a string for use inside ffmpeg shell commands.
+ * Uses single-quote wrapping with proper escaping.
+ */
+function shellEscape(s) {
+  // Replace single quotes with '\'' (end quote, escaped quote, start quote)
+  return "'" + s.replace(/'/g, "'\\''") + "'";
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function cartesian(arrays) {
+  if (arrays.length === 0) return [[]];
+  return arrays.reduce((acc, arr) =>
+    acc.flatMap(combo => arr.map(item => [...combo, item])),
+    [[]]
+  );
+}
+
+function applyNaming(template, parts, index) {
+  const date = new Date().toISOString().slice(0, 10);
+  let name = template;
+  // Replace {index} with zero-padded index
+  name = name.replace(/\{index\}/g, String(index + 1).padStart(4, '0'));
+  name = name.replace(/\{date\}/g, date);
+  // Replace {label} patterns with corresponding part names
+  for (const p of parts) {
+    // Replace all occurrences of {label} with the part's video name
+    name = name.replace(new RegExp(`\\{${escapeRegex(p.label)}\\}`, 'g'), p.video.name);
+  }
+  // Replace any generic {0}, {1}, {2} etc with part names by position
+  parts.forEach((p, i) => {
+    name = name.replace(new RegExp(`\\{${i}\\}`, 'g'), p.video.name);
+  });
+  return name;
+}
+
+function ensureDir(dir) {
+  fs.mkdirSync(path.resolve(dir), { recursive: true });
+}
+
+function fileSignature(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return { size: stat.size, mtimeMs: Math.round(stat.mtimeMs) };
+  } catch {
+    return { size: null, mtimeMs: null };
+  }
+}
+
+/**
+ * Where to write a file before renaming it into place: same folder and
+ * extension (ffmpeg picks the format from it), e.g. a.mp4 → a.tmp.mp4.
+ */
+function tempPath(file) {
+  const ext = path.extname(file);
+  return `${file.slice(0, file.length - ext.length)}.tmp${ext}`;
+}
+
+function isInsideDir(dir, name) {
+  const rel = path.relative(dir, path.resolve(dir, name));
+  return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Run tasks with limited concurrency.
+ */
+async function runWithConcurrency(tasks, concurrency, onComplete) {
+  let index = 0;
+  let completed = 0;
+  const results = new Array(tasks.length);
+
+  async function worker() {
+    while (index < tasks.length) {
+      const i = index++;
+      try {
+        results[i] = { ok: true, value: await tasks[i]() };
+      } catch (e) {
+        results[i] = { ok: false, error: e };
+      }
+      completed++;
+      if (onComplete) onComplete(completed, i, results[i]);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, tasks.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  sanitizeFilename,
+  shellEscape,
+  escapeRegex,
+  isPlainObject,
+  cartesian,
+  applyNaming,
+  ensureDir,
+  fileSignature,
+  tempPath,
+  isInsideDir,
+  runWithConcurrency,
+};